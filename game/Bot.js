@@ -0,0 +1,317 @@
+/**
+ * Bot.js - Computer player decisions
+ *
+ * Bots only decide; the server carries out their choices through the same
+ * GameState functions a human's socket events use. A bot looks at its own
+ * hand and public information (discard pile, card counts) only.
+ *
+ * Difficulty levels:
+ * - easy: random legal play and random colors
+ * - medium: holds wilds for when nothing else plays, picks its strongest color
+ * - hard: also counts the discard pile and watches opponents' card counts
+ */
+
+const { getPlayableCards, getActiveColors, getNextPlayerIndex, getPlayContext, isWildDrawFourIllegal } = require('./GameRules');
+
+const BOT_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const BOT_NAMES = ['Ava', 'Max', 'Zoe', 'Leo', 'Ivy', 'Sam', 'Kai', 'Mia', 'Eli', 'Rex'];
+
+// How a bot reacts to an uncalled UNO: chance to notice it, and how long it takes
+const CATCH_REFLEXES = {
+    easy: { chance: 0.3, delayMs: 2500 },
+    medium: { chance: 0.6, delayMs: 1500 },
+    hard: { chance: 1, delayMs: 700 }
+};
+
+// Chance that a bot remembers to call UNO before playing its second-to-last card
+const UNO_CALL_CHANCE = {
+    easy: 0.6,
+    medium: 0.9,
+    hard: 1
+};
+
+/**
+ * Pick a random element
+ * @param {any[]} items - Non-empty array
+ * @returns {any}
+ */
+function pickRandom(items) {
+    return items[Math.floor(Math.random() * items.length)];
+}
+
+/**
+ * Decide the next thing a bot does on its turn
+ * @param {object} state - Current game state
+ * @param {string} botId - ID of the bot whose turn it is
+ * @returns {object|null} { type, ... } action for the server to carry out, or null if nothing to do
+ */
+function decideBotAction(state, botId) {
+    const playerIndex = state.players.findIndex(p => p.id === botId);
+    const bot = state.players[playerIndex];
+
+    if (!bot || playerIndex !== state.currentPlayerIndex || bot.eliminated) {
+        return null;
+    }
+
+    const difficulty = bot.difficulty || 'easy';
+
+    if (state.phase === 'awaitingChallenge') {
+        return { type: 'respondToChallenge', challenge: shouldChallenge(state, bot, difficulty) };
+    }
+
+    if (state.phase !== 'playing') {
+        return null;
+    }
+
+    if (state.awaitingColorChoice) {
+        return { type: 'chooseColor', color: chooseBotColor(state, bot, difficulty) };
+    }
+
+    if (state.awaitingSwapTarget) {
+        return { type: 'chooseSwapTarget', targetId: chooseSwapTarget(state, bot, difficulty) };
+    }
+
+    // Holding a card that was just drawn: play it, or keep it and pass
+    if (state.pendingDrawnCardId) {
+        const drawn = bot.hand.find(c => c.id === state.pendingDrawnCardId);
+        if (state.settings.mustPlayDrawn || difficulty === 'easy' || !drawn.isWild() || bot.hand.length <= 2) {
+            return playAction(state, bot, drawn, difficulty);
+        }
+        return { type: 'skipPlayDrawn' };
+    }
+
+    const playable = getPlayableCards(bot.hand, state);
+    if (playable.length === 0) {
+        return { type: 'draw' };
+    }
+
+    const card = difficulty === 'easy'
+        ? pickRandom(playable)
+        : chooseCard(state, bot, playable, difficulty);
+
+    return playAction(state, bot, card, difficulty);
+}
+
+/**
+ * Build a play action, picking a color up front for wilds
+ * @param {object} state - Current game state
+ * @param {object} bot - Bot player
+ * @param {Card} card - Card to play
+ * @param {string} difficulty - Bot difficulty
+ * @returns {object} playCard action
+ */
+function playAction(state, bot, card, difficulty) {
+    const rest = bot.hand.filter(c => c !== card);
+    return {
+        type: 'playCard',
+        cardId: card.id,
+        color: card.isWild() ? chooseBotColor(state, { ...bot, hand: rest }, difficulty) : null,
+        callUno: bot.hand.length === 2 && !bot.calledUno && Math.random() < UNO_CALL_CHANCE[difficulty]
+    };
+}
+
+/**
+ * Choose which playable card a medium or hard bot plays
+ * Saves wilds for last, dumps high-value cards, and (hard) hits an opponent
+ * who is close to going out with action cards.
+ * @param {object} state - Current game state
+ * @param {object} bot - Bot player
+ * @param {Card[]} playable - Playable cards (non-empty)
+ * @param {string} difficulty - 'medium' or 'hard'
+ * @returns {Card}
+ */
+function chooseCard(state, bot, playable, difficulty) {
+    const nextPlayer = state.players[getNextPlayerIndex(state, state.currentPlayerIndex)];
+    const nextIsThreat = difficulty === 'hard' && nextPlayer.hand.length <= 2 && !isTeammate(bot, nextPlayer);
+
+    const scored = playable.map(card => {
+        let score = card.getPoints();
+
+        if (card.isWild()) {
+            // Hold wilds until nothing else plays
+            score -= 100;
+            // Avoid a Wild Draw Four that could be challenged
+            if (card.type === 'wildDrawFour' && state.settings.wildDrawFourChallenge &&
+                isWildDrawFourIllegal(bot.hand, getPlayContext(state), state.settings)) {
+                score -= 100;
+            }
+        }
+
+        // Keep the color we hold most of
+        if (card.color && card.color === strongestColor(state, bot.hand)) {
+            score += 5;
+        }
+
+        // Slow down a player about to win
+        if (nextIsThreat && (card.isDrawCard() || card.type === 'skip' || card.type === 'skipEveryone')) {
+            score += 200;
+        }
+
+        // Never hand your partner a penalty
+        if (isTeammate(bot, nextPlayer) && card.isDrawCard()) {
+            score -= 50;
+        }
+
+        return { card, score };
+    });
+
+    scored.sort((a, b) => b.score - a.score);
+    return scored[0].card;
+}
+
+/**
+ * Choose a color for a wild
+ * - easy: random
+ * - medium: the color the bot holds most points of
+ * - hard: same, but breaks ties toward colors opponents are least likely to hold
+ * @param {object} state - Current game state
+ * @param {object} bot - Bot player (hand excludes the wild being played)
+ * @param {string} difficulty - Bot difficulty
+ * @returns {string} Color
+ */
+function chooseBotColor(state, bot, difficulty) {
+    const colors = getActiveColors(state);
+
+    if (difficulty === 'easy') {
+        return pickRandom(colors);
+    }
+
+    const seen = difficulty === 'hard' ? countSeenColors(state) : {};
+
+    return colors
+        .map(color => ({
+            color,
+            score: bot.hand.filter(c => c.color === color).reduce((total, c) => total + 10 + c.getPoints(), 0) +
+                (seen[color] || 0)
+        }))
+        .sort((a, b) => b.score - a.score)[0].color;
+}
+
+/**
+ * Get the color the bot holds the most cards of
+ * @param {object} state - Current game state
+ * @param {Card[]} hand - Bot's hand
+ * @returns {string|null}
+ */
+function strongestColor(state, hand) {
+    let best = null;
+    let bestCount = 0;
+    for (const color of getActiveColors(state)) {
+        const count = hand.filter(c => c.color === color).length;
+        if (count > bestCount) {
+            best = color;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+/**
+ * Count cards of each color already played (hard bots)
+ * A color that has been played a lot is less likely to be in opponents' hands.
+ * @param {object} state - Current game state
+ * @returns {object} color -> number of cards in the discard pile
+ */
+function countSeenColors(state) {
+    const seen = {};
+    for (const card of state.discardPile) {
+        if (card.color && !card.isWild()) {
+            seen[card.color] = (seen[card.color] || 0) + 1;
+        }
+    }
+    return seen;
+}
+
+/**
+ * Decide whether to challenge a Wild Draw Four
+ * - easy: never
+ * - medium: only a stack of 8 or more, which is worth the risk
+ * - hard: when the player who played it holds many cards, so likely had a match
+ * @param {object} state - Current game state
+ * @param {object} bot - Bot player
+ * @param {string} difficulty - Bot difficulty
+ * @returns {boolean}
+ */
+function shouldChallenge(state, bot, difficulty) {
+    if (difficulty === 'easy') {
+        return false;
+    }
+    if (difficulty === 'medium') {
+        return state.stackedDrawCount >= 8;
+    }
+
+    const offender = state.players.find(p => p.id === state.drawFourChallenge.playerId);
+    return offender.hand.length >= 5;
+}
+
+/**
+ * Choose who to swap hands with (Seven-O or a swapping customizable wild)
+ * Easy bots pick at random; the others take the smallest opposing hand.
+ * @param {object} state - Current game state
+ * @param {object} bot - Bot player
+ * @param {string} difficulty - Bot difficulty
+ * @returns {string} Target player ID
+ */
+function chooseSwapTarget(state, bot, difficulty) {
+    const candidates = state.players.filter(p => p !== bot && !p.eliminated);
+
+    if (difficulty === 'easy') {
+        return pickRandom(candidates).id;
+    }
+
+    return candidates
+        .filter(p => !isTeammate(bot, p))
+        .concat(candidates)
+        .reduce((best, p) => (p.hand.length < best.hand.length ? p : best)).id;
+}
+
+/**
+ * Decide whether a bot notices an uncalled UNO, and how quickly
+ * @param {object} bot - Bot player
+ * @returns {number|null} Reaction delay in ms, or null if it misses it
+ */
+function getCatchDelay(bot) {
+    const reflex = CATCH_REFLEXES[bot.difficulty] || CATCH_REFLEXES.easy;
+    if (Math.random() >= reflex.chance) {
+        return null;
+    }
+    return reflex.delayMs + Math.floor(Math.random() * 500);
+}
+
+/**
+ * Get how long a bot "thinks" before acting
+ * @returns {number} Delay in ms
+ */
+function getThinkingDelay() {
+    return 900 + Math.floor(Math.random() * 1100);
+}
+
+/**
+ * Check if two players are partners (team mode)
+ * @param {object} a - Player
+ * @param {object} b - Player
+ * @returns {boolean}
+ */
+function isTeammate(a, b) {
+    return a.team != null && a.team === b.team;
+}
+
+/**
+ * Pick a bot name that isn't taken yet
+ * @param {string[]} takenNames - Names already in the lobby
+ * @returns {string}
+ */
+function getBotName(takenNames) {
+    const taken = new Set(takenNames.map(n => n.toLowerCase()));
+    const free = BOT_NAMES.map(n => `Bot ${n}`).filter(n => !taken.has(n.toLowerCase()));
+    return free.length > 0 ? pickRandom(free) : `Bot ${takenNames.length + 1}`;
+}
+
+module.exports = {
+    BOT_DIFFICULTIES,
+    decideBotAction,
+    getCatchDelay,
+    getThinkingDelay,
+    getBotName
+};
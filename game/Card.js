@@ -8,27 +8,71 @@
  * - drawTwo: Next player draws 2 (stackable)
  * - wild: Change color, can be played anytime
  * - wildDrawFour: Change color + next player draws 4 (stackable)
+ * - wildShuffleHands: Change color + every hand is shuffled together and redealt
+ * - wildCustom: Change color + the effect the host picked for customizable wilds
+ *
+ * UNO Flip cards have a light and a dark side. The live side is stored in
+ * type/color/value and the other side in `back`; flip() turns the card over.
+ * Light side types:
+ * - drawOne: Next player draws 1 (stackable)
+ * - flip: Turn every card in play over
+ * - wildDrawTwo: Change color + next player draws 2 (stackable)
+ * Dark side types:
+ * - drawFive: Next player draws 5 (stackable)
+ * - skipEveryone: Every other player is skipped
+ * - wildDrawColor: Change color + next player draws until they get that color
  */
 
 const COLORS = ['red', 'yellow', 'green', 'blue'];
+const DARK_COLORS = ['pink', 'teal', 'orange', 'purple'];
 const NUMBER_VALUES = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
 const ACTION_TYPES = ['skip', 'reverse', 'drawTwo'];
+const FLIP_LIGHT_ACTION_TYPES = ['drawOne', 'reverse', 'skip', 'flip'];
+const FLIP_DARK_ACTION_TYPES = ['drawFive', 'reverse', 'skipEveryone', 'flip'];
+const WILD_TYPES = ['wild', 'wildDrawFour', 'wildDrawTwo', 'wildDrawColor', 'wildShuffleHands', 'wildCustom'];
+const SPECIAL_WILD_TYPES = ['wildShuffleHands', 'wildCustom'];
+const DRAW_AMOUNTS = { drawOne: 1, drawTwo: 2, wildDrawTwo: 2, wildDrawFour: 4, drawFive: 5 };
 
 /**
  * Card class representing a single UNO card
  */
 class Card {
     /**
-     * @param {string} type - Card type: 'number', 'skip', 'reverse', 'drawTwo', 'wild', 'wildDrawFour'
-     * @param {string|null} color - Card color: 'red', 'yellow', 'green', 'blue', or null for wilds
+     * @param {string} type - Card type: 'number', 'skip', 'reverse', 'drawTwo', 'wild', 'wildDrawFour' (or a Flip type)
+     * @param {string|null} color - Card color: 'red', 'yellow', 'green', 'blue' (or a dark color), or null for wilds
      * @param {number|null} value - Numeric value for number cards (0-9), null otherwise
      * @param {string} id - Unique identifier for this card instance
+     * @param {object|null} back - Other face { type, color, value } for UNO Flip cards, null otherwise
      */
-    constructor(type, color, value, id) {
+    constructor(type, color, value, id, back = null) {
         this.type = type;
         this.color = color;
         this.value = value;
         this.id = id;
+        this.back = back;
+        this.side = back ? 'light' : null;
+    }
+
+    /**
+     * Turn a double-sided card over, making its back the live face
+     * A wild's chosen color is cleared as it turns face down.
+     * @returns {Card} This card
+     */
+    flip() {
+        if (!this.back) return this;
+
+        if (this.isWild()) {
+            this.color = null;
+        }
+
+        const face = { type: this.type, color: this.color, value: this.value };
+        this.type = this.back.type;
+        this.color = this.back.color;
+        this.value = this.back.value;
+        this.back = face;
+        this.side = this.side === 'light' ? 'dark' : 'light';
+
+        return this;
     }
 
     /**
@@ -39,13 +83,27 @@ class Card {
         switch (this.type) {
             case 'number':
                 return this.value;
+            case 'drawOne':
+                return 10;
             case 'skip':
             case 'reverse':
             case 'drawTwo':
+            case 'flip':
+            case 'drawFive':
                 return 20;
+            case 'skipEveryone':
+                return 30;
             case 'wild':
+                // UNO Flip scores its plain wilds lower
+                return this.back ? 40 : 50;
+            case 'wildShuffleHands':
+            case 'wildCustom':
+                return 40;
             case 'wildDrawFour':
+            case 'wildDrawTwo':
                 return 50;
+            case 'wildDrawColor':
+                return 60;
             default:
                 return 0;
         }
@@ -60,19 +118,27 @@ class Card {
     }
 
     /**
-     * Check if this is a wild card (wild or wildDrawFour)
+     * Check if this is a wild card (wild, wildDrawFour or a Flip wild)
      * @returns {boolean}
      */
     isWild() {
-        return this.type === 'wild' || this.type === 'wildDrawFour';
+        return WILD_TYPES.includes(this.type);
+    }
+
+    /**
+     * Check if this is a wild whose effect runs once its color is chosen (wildShuffleHands, wildCustom)
+     * @returns {boolean}
+     */
+    isSpecialWild() {
+        return SPECIAL_WILD_TYPES.includes(this.type);
     }
 
     /**
-     * Check if this card causes draws (drawTwo or wildDrawFour)
+     * Check if this card causes a fixed number of draws (drawTwo, wildDrawFour, or a Flip draw card)
      * @returns {boolean}
      */
     isDrawCard() {
-        return this.type === 'drawTwo' || this.type === 'wildDrawFour';
+        return this.type in DRAW_AMOUNTS;
     }
 
     /**
@@ -80,9 +146,22 @@ class Card {
      * @returns {number}
      */
     getDrawAmount() {
-        if (this.type === 'drawTwo') return 2;
-        if (this.type === 'wildDrawFour') return 4;
-        return 0;
+        return DRAW_AMOUNTS[this.type] || 0;
+    }
+
+    /**
+     * Get the face on the back of this card (what opponents see in UNO Flip)
+     * @returns {object|null} { id, type, color, value, side } or null for single-sided cards
+     */
+    getBackFace() {
+        if (!this.back) return null;
+        return {
+            id: this.id,
+            type: this.back.type,
+            color: this.back.color,
+            value: this.back.value,
+            side: this.side === 'light' ? 'dark' : 'light'
+        };
     }
 
     /**
@@ -98,9 +177,32 @@ class Card {
             id: this.id,
             type: this.type,
             color: this.color,
-            value: this.value
+            value: this.value,
+            side: this.side
         };
     }
+
+    /**
+     * Rebuild a card from its toJSON data (for restoring saved games)
+     * Flip cards also need their back face, which toJSON leaves out.
+     * @param {object} data - { id, type, color, value, side, back? }
+     * @returns {Card}
+     */
+    static fromJSON(data) {
+        const card = new Card(data.type, data.color, data.value, data.id, data.back || null);
+        card.side = data.side;
+        return card;
+    }
 }
 
-module.exports = { Card, COLORS, NUMBER_VALUES, ACTION_TYPES };
+module.exports = {
+    Card,
+    COLORS,
+    DARK_COLORS,
+    NUMBER_VALUES,
+    ACTION_TYPES,
+    FLIP_LIGHT_ACTION_TYPES,
+    FLIP_DARK_ACTION_TYPES,
+    WILD_TYPES,
+    SPECIAL_WILD_TYPES
+};
@@ -0,0 +1,21 @@
+/**
+ * Clock.js - Game time
+ *
+ * Everything a game does with the time (catch windows, turn deadlines,
+ * event timestamps) reads it through now(state). A live game runs on the
+ * real clock; a replay sets state.clock to the time each recorded move was
+ * made, so the rest of the process keeps the real time.
+ */
+
+/**
+ * Get the current time in a game
+ * @param {object} state - Game state
+ * @returns {number} Milliseconds since the epoch, like Date.now
+ */
+function now(state) {
+    return state.clock != null ? state.clock : Date.now();
+}
+
+module.exports = {
+    now
+};
@@ -11,57 +11,141 @@
  *   - Two Draw Two cards
  * - 4 Wild cards
  * - 4 Wild Draw Four cards
+ * - Optional special wilds (112 cards): 1 Wild Shuffle Hands, 3 Wild Customizable
+ *
+ * UNO Flip 112-card deck, each card pairing a light and a dark face:
+ * - Light: per color two each of 1-9, Draw One, Reverse, Skip, Flip;
+ *   4 Wild and 4 Wild Draw Two
+ * - Dark: per color two each of 1-9, Draw Five, Reverse, Skip Everyone, Flip;
+ *   4 Wild and 4 Wild Draw Color
  */
 
-const { Card, COLORS, NUMBER_VALUES, ACTION_TYPES } = require('./Card');
+const { Card, COLORS, DARK_COLORS, NUMBER_VALUES, ACTION_TYPES, FLIP_LIGHT_ACTION_TYPES, FLIP_DARK_ACTION_TYPES } = require('./Card');
 const { v4: uuidv4 } = require('uuid');
 
 /**
- * Create a complete 108-card UNO deck
- * @returns {Card[]} Array of 108 cards
+ * Create a complete deck for the game mode
+ * @param {string} gameMode - 'classic' (108 cards) or 'flip' (112 double-sided cards)
+ * @param {boolean} specialWilds - Add Wild Shuffle Hands and customizable wilds to a classic deck
+ * @param {function(): number} random - Random source for card IDs (default: Math.random)
+ * @returns {Card[]} Array of cards
  */
-function createDeck() {
+function createDeck(gameMode = 'classic', specialWilds = false, random = Math.random) {
+    if (gameMode === 'flip') {
+        return createFlipDeck(random);
+    }
+
     const cards = [];
+    const newId = () => createCardId(random);
 
     // For each color
     for (const color of COLORS) {
         // One 0 card
-        cards.push(new Card('number', color, 0, uuidv4()));
+        cards.push(new Card('number', color, 0, newId()));
 
         // Two each of 1-9
         for (let value = 1; value <= 9; value++) {
-            cards.push(new Card('number', color, value, uuidv4()));
-            cards.push(new Card('number', color, value, uuidv4()));
+            cards.push(new Card('number', color, value, newId()));
+            cards.push(new Card('number', color, value, newId()));
         }
 
         // Two each of action cards
         for (const actionType of ACTION_TYPES) {
-            cards.push(new Card(actionType, color, null, uuidv4()));
-            cards.push(new Card(actionType, color, null, uuidv4()));
+            cards.push(new Card(actionType, color, null, newId()));
+            cards.push(new Card(actionType, color, null, newId()));
         }
     }
 
     // 4 Wild cards
     for (let i = 0; i < 4; i++) {
-        cards.push(new Card('wild', null, null, uuidv4()));
+        cards.push(new Card('wild', null, null, newId()));
     }
 
     // 4 Wild Draw Four cards
     for (let i = 0; i < 4; i++) {
-        cards.push(new Card('wildDrawFour', null, null, uuidv4()));
+        cards.push(new Card('wildDrawFour', null, null, newId()));
+    }
+
+    if (specialWilds) {
+        // 1 Wild Shuffle Hands card
+        cards.push(new Card('wildShuffleHands', null, null, newId()));
+
+        // 3 Wild Customizable cards
+        for (let i = 0; i < 3; i++) {
+            cards.push(new Card('wildCustom', null, null, newId()));
+        }
     }
 
     return cards;
 }
 
+/**
+ * Create a card ID from a random source, so a seeded deck gets the same IDs every time
+ * @param {function(): number} random - Random source
+ * @returns {string} UUID
+ */
+function createCardId(random) {
+    return uuidv4({ rng: () => Array.from({ length: 16 }, () => Math.floor(random() * 256)) });
+}
+
+/**
+ * Build the faces for one side of an UNO Flip deck
+ * @param {string[]} colors - The four colors of this side
+ * @param {string[]} actionTypes - Colored action cards on this side
+ * @param {string} wildDrawType - The drawing wild of this side
+ * @returns {object[]} 112 faces { type, color, value }
+ */
+function createFlipFaces(colors, actionTypes, wildDrawType) {
+    const faces = [];
+
+    for (const color of colors) {
+        // Two each of 1-9 (no zeros in UNO Flip)
+        for (let value = 1; value <= 9; value++) {
+            faces.push({ type: 'number', color, value });
+            faces.push({ type: 'number', color, value });
+        }
+
+        // Two each of action cards
+        for (const actionType of actionTypes) {
+            faces.push({ type: actionType, color, value: null });
+            faces.push({ type: actionType, color, value: null });
+        }
+    }
+
+    for (let i = 0; i < 4; i++) {
+        faces.push({ type: 'wild', color: null, value: null });
+        faces.push({ type: wildDrawType, color: null, value: null });
+    }
+
+    return faces;
+}
+
+/**
+ * Create a 112-card UNO Flip deck, light side up
+ * Printed decks don't share one pairing of faces, so the dark faces are dealt
+ * onto the light ones at random: seeing a light face shouldn't tell a player
+ * what is on its back. With a seeded random source the pairing repeats too.
+ * @param {function(): number} random - Random source (default: Math.random)
+ * @returns {Card[]} Array of 112 double-sided cards
+ */
+function createFlipDeck(random = Math.random) {
+    const lightFaces = createFlipFaces(COLORS, FLIP_LIGHT_ACTION_TYPES, 'wildDrawTwo');
+    const darkFaces = shuffle(createFlipFaces(DARK_COLORS, FLIP_DARK_ACTION_TYPES, 'wildDrawColor'), random);
+
+    return lightFaces.map((light, i) =>
+        new Card(light.type, light.color, light.value, createCardId(random), darkFaces[i])
+    );
+}
+
 /**
  * Fisher-Yates shuffle algorithm
  * @param {Card[]} cards - Array of cards to shuffle
+ * @param {function(): number} random - Random source (default: Math.random)
  * @returns {Card[]} Shuffled array (mutates original)
  */
-function shuffle(cards) {
+function shuffle(cards, random = Math.random) {
     for (let i = cards.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [cards[i], cards[j]] = [cards[j], cards[i]];
     }
     return cards;
@@ -71,9 +155,10 @@ function shuffle(cards) {
  * Reshuffle the discard pile to form a new draw pile
  * Keeps the top card of discard pile in place
  * @param {Card[]} discardPile - Current discard pile
+ * @param {function(): number} random - Random source (default: Math.random)
  * @returns {{ newDrawPile: Card[], newDiscardPile: Card[] }}
  */
-function reshuffleDiscardPile(discardPile) {
+function reshuffleDiscardPile(discardPile, random = Math.random) {
     if (discardPile.length <= 1) {
         // Cannot reshuffle if only one card or empty
         return { newDrawPile: [], newDiscardPile: discardPile };
@@ -92,7 +177,7 @@ function reshuffleDiscardPile(discardPile) {
         }
     }
 
-    const newDrawPile = shuffle(cardsToShuffle);
+    const newDrawPile = shuffle(cardsToShuffle, random);
     const newDiscardPile = [topCard];
 
     return { newDrawPile, newDiscardPile };
@@ -104,15 +189,19 @@ function reshuffleDiscardPile(discardPile) {
  * @param {Card[]} drawPile - Current draw pile
  * @param {Card[]} discardPile - Current discard pile
  * @param {number} count - Number of cards to draw
- * @returns {{ drawnCards: Card[], drawPile: Card[], discardPile: Card[] }}
+ * @param {function(): number} random - Random source for a reshuffle (default: Math.random)
+ * @returns {{ drawnCards: Card[], drawPile: Card[], discardPile: Card[], reshuffled: boolean, reshuffledAfter: number|null }}
+ *   reshuffledAfter is how many cards were drawn before the reshuffle
  */
-function drawCards(drawPile, discardPile, count) {
+function drawCards(drawPile, discardPile, count, random = Math.random) {
     const drawnCards = [];
+    let reshuffled = false;
+    let reshuffledAfter = null;
 
     for (let i = 0; i < count; i++) {
         // Check if we need to reshuffle
         if (drawPile.length === 0) {
-            const { newDrawPile, newDiscardPile } = reshuffleDiscardPile(discardPile);
+            const { newDrawPile, newDiscardPile } = reshuffleDiscardPile(discardPile, random);
             drawPile = newDrawPile;
             discardPile = newDiscardPile;
 
@@ -120,12 +209,14 @@ function drawCards(drawPile, discardPile, count) {
             if (drawPile.length === 0) {
                 break;
             }
+            reshuffled = true;
+            reshuffledAfter = drawnCards.length;
         }
 
         drawnCards.push(drawPile.pop());
     }
 
-    return { drawnCards, drawPile, discardPile };
+    return { drawnCards, drawPile, discardPile, reshuffled, reshuffledAfter };
 }
 
 /**
@@ -133,9 +224,10 @@ function drawCards(drawPile, discardPile, count) {
  * @param {Card[]} deck - Shuffled deck
  * @param {number} playerCount - Number of players
  * @param {number} cardsPerPlayer - Cards to deal to each player (default: 7)
+ * @param {number[]} skipped - Indices of players dealt no cards (knocked out)
  * @returns {{ hands: Card[][], remainingDeck: Card[] }}
  */
-function dealHands(deck, playerCount, cardsPerPlayer = 7) {
+function dealHands(deck, playerCount, cardsPerPlayer = 7, skipped = []) {
     const hands = [];
 
     for (let i = 0; i < playerCount; i++) {
@@ -145,7 +237,7 @@ function dealHands(deck, playerCount, cardsPerPlayer = 7) {
     // Deal cards one at a time to each player
     for (let card = 0; card < cardsPerPlayer; card++) {
         for (let player = 0; player < playerCount; player++) {
-            if (deck.length > 0) {
+            if (deck.length > 0 && !skipped.includes(player)) {
                 hands[player].push(deck.pop());
             }
         }
@@ -156,17 +248,18 @@ function dealHands(deck, playerCount, cardsPerPlayer = 7) {
 
 /**
  * Get a valid starting card from the deck
- * Wild Draw Four cards are not valid starting cards
+ * Drawing wilds (Wild Draw Four, Wild Draw Two) are not valid starting cards
  * @param {Card[]} deck - Draw pile
+ * @param {function(): number} random - Random source for a reshuffle (default: Math.random)
  * @returns {{ startCard: Card, deck: Card[] }}
  */
-function getStartingCard(deck) {
+function getStartingCard(deck, random = Math.random) {
     let startCard = deck.pop();
 
-    // If Wild Draw Four, put it back and shuffle, repeat until valid
-    while (startCard.type === 'wildDrawFour') {
+    // If a drawing wild, put it back and shuffle, repeat until valid
+    while (startCard.type === 'wildDrawFour' || startCard.type === 'wildDrawTwo') {
         deck.unshift(startCard); // Put at bottom
-        shuffle(deck);
+        shuffle(deck, random);
         startCard = deck.pop();
     }
 
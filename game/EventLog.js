@@ -0,0 +1,82 @@
+/**
+ * EventLog.js - Append-only record of a game
+ *
+ * Every change to a game is appended to state.events with a sequence
+ * number and timestamp. An event wraps the action clients already see
+ * (state.lastAction) plus optional secrets: details only one seat may
+ * see, such as the faces of the cards that seat drew. Secrets are keyed
+ * by seat index, so they still reach a player who reconnects under a new ID.
+ */
+
+const { now } = require('./Clock');
+
+// Most events returned by one history request
+const HISTORY_PAGE_SIZE = 100;
+
+/**
+ * Append an event to the game's log
+ * @param {object} state - Current game state (will be mutated)
+ * @param {object} action - { type, message, ... } describing what happened
+ * @param {object|null} secrets - seat index -> fields only that seat may see
+ * @returns {object} The event
+ */
+function recordEvent(state, action, secrets = null) {
+    const event = {
+        seq: state.events.length + 1,
+        timestamp: now(state),
+        action,
+        secrets
+    };
+    state.events.push(event);
+    return event;
+}
+
+/**
+ * Make an action the game's last action and log it
+ * @param {object} state - Current game state (will be mutated)
+ * @param {object} action - { type, message, ... } describing what happened
+ * @param {object|null} secrets - seat index -> fields only that seat may see
+ */
+function logAction(state, action, secrets = null) {
+    state.lastAction = action;
+    recordEvent(state, action, secrets);
+}
+
+/**
+ * Build the secret for cards one player received
+ * @param {object} state - Current game state
+ * @param {object} player - Player who got the cards
+ * @param {Card[]} cards - Cards received
+ * @returns {object} Secrets for logAction
+ */
+function cardsSecret(state, player, cards) {
+    return { [state.players.indexOf(player)]: { cards: cards.map(c => c.toJSON()) } };
+}
+
+/**
+ * Get a slice of the log as one viewer may see it
+ * @param {object} state - Current game state
+ * @param {string|null} viewerId - Player asking, or null for a spectator
+ * @param {number} sinceSeq - Only events after this sequence number
+ * @returns {object[]} Up to HISTORY_PAGE_SIZE of the newest matching events, oldest first
+ */
+function getEventsForPlayer(state, viewerId, sinceSeq = 0) {
+    const seat = state.players.findIndex(p => p.id === viewerId);
+
+    return state.events
+        .filter(event => event.seq > sinceSeq)
+        .slice(-HISTORY_PAGE_SIZE)
+        .map(event => ({
+            seq: event.seq,
+            timestamp: event.timestamp,
+            ...event.action,
+            ...(event.secrets && seat !== -1 ? event.secrets[seat] : null)
+        }));
+}
+
+module.exports = {
+    recordEvent,
+    logAction,
+    cardsSecret,
+    getEventsForPlayer
+};
@@ -0,0 +1,88 @@
+/**
+ * Fairness.js - Provably fair shuffling
+ *
+ * Every round shuffles from its own seed, derived from the game's seed. When
+ * the round starts, players get a commitment: SHA-256 of the round seed and
+ * the order of the shuffled deck. While the round runs, the server logs every
+ * card that leaves or joins the draw pile (the pile log). When the round ends
+ * it reveals the seed and the pile log, and clients re-run the shuffle to
+ * check that the deck matched the commitment and that every draw, including
+ * those after a reshuffle of the discard pile, came off the pile in order.
+ * The client side of the check is public/js/fairness.js.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * SHA-256 of a string
+ * @param {string} text - Input
+ * @returns {string} Hex digest
+ */
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Derive a round's seed from the game's seed
+ * Revealing it after the round says nothing about the other rounds.
+ * @param {string} gameSeed - Seed of the whole game
+ * @param {number} roundNumber - Round number
+ * @returns {string} Round seed
+ */
+function deriveRoundSeed(gameSeed, roundNumber) {
+    return sha256(`${gameSeed}:round:${roundNumber}`);
+}
+
+/**
+ * Commit to a round's seed and shuffled deck
+ * @param {string} roundSeed - Round seed
+ * @param {Card[]} deck - Shuffled deck, bottom card first
+ * @returns {string} Commitment (hex)
+ */
+function createCommitment(roundSeed, deck) {
+    return sha256(`${roundSeed}:${deck.map(c => c.id).join(',')}`);
+}
+
+/**
+ * Append an entry to the round's pile log
+ * Entries are one of:
+ *   { op: 'deal', hands: [[cardId]] } - the opening deal, by seat
+ *   { op: 'start', cardId } - the first discard
+ *   { op: 'draw', seat, cardIds } - cards taken off the top, in order
+ *   { op: 'reshuffle', cardIds } - the discard pile (minus its top card, oldest first) became the draw pile
+ *   { op: 'return', cardIds } - cards put back under the draw pile
+ *   { op: 'shuffleHands', count } - Wild Shuffle Hands shuffled this many cards
+ * @param {object} state - Current game state (will be mutated)
+ * @param {object} entry - Log entry
+ */
+function logPile(state, entry) {
+    state.pileLog.push(entry);
+}
+
+/**
+ * Get what is revealed once a round is over
+ * @param {object} state - Current game state
+ * @returns {object|null} { roundNumber, seed, commitment, gameMode, specialWilds, pileLog }, or null mid-round
+ */
+function getReveal(state) {
+    if ((state.phase !== 'roundEnd' && state.phase !== 'gameOver') || !state.roundSeed) {
+        return null;
+    }
+
+    return {
+        roundNumber: state.roundNumber,
+        seed: state.roundSeed,
+        commitment: state.commitment,
+        gameMode: state.settings.gameMode,
+        specialWilds: state.settings.specialWilds,
+        pileLog: state.pileLog
+    };
+}
+
+module.exports = {
+    sha256,
+    deriveRoundSeed,
+    createCommitment,
+    logPile,
+    getReveal
+};
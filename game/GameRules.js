@@ -1,13 +1,52 @@
 /**
  * GameRules.js - UNO game rule validation and action handling
  * 
- * Implements official UNO rules with the following variants:
+ * Implements official UNO rules with the following variants
+ * (toggled through state.settings):
  * - Stacking: +2 stacks on +2, +4 stacks on +4
- * - No Wild Draw Four challenge
+ * - Cross-stacking: +4 on a +2 stack, +2 of the chosen color on a +4 stack
+ * - Wild Draw Four may be challenged by the player it targets
+ * - Seven-O: 7 swaps hands with a chosen player, 0 passes every hand along
+ * - Jump-in: an identical card may be played out of turn
+ * - UNO Flip: double-sided deck with light and dark side actions
+ * - Special wilds: Wild Shuffle Hands and host-configured customizable wilds
+ * - Elimination: knocked-out players are passed over in turn order
  * - UNO must be called BEFORE playing second-to-last card
  */
 
-const { COLORS } = require('./Card');
+const { COLORS, DARK_COLORS } = require('./Card');
+const { shuffle, drawCards } = require('./Deck');
+const { recordEvent } = require('./EventLog');
+const { randomFrom } = require('./Random');
+const { logPile } = require('./Fairness');
+const { now } = require('./Clock');
+
+// Display names for the card types a stack can be built from
+const STACK_NAMES = {
+    drawOne: 'Draw One',
+    drawTwo: 'Draw Two',
+    wildDrawTwo: 'Wild Draw Two',
+    drawFour: 'Wild Draw Four',
+    drawFive: 'Draw Five'
+};
+
+/**
+ * Get the colors in play (UNO Flip's dark side has its own four)
+ * @param {object} state - Current game state
+ * @returns {string[]}
+ */
+function getActiveColors(state) {
+    return state.side === 'dark' ? DARK_COLORS : COLORS;
+}
+
+/**
+ * Get the stack type a draw card builds
+ * @param {Card} card - Draw card
+ * @returns {string} Stack type ('drawFour' for Wild Draw Four, otherwise the card type)
+ */
+function getStackType(card) {
+    return card.type === 'wildDrawFour' ? 'drawFour' : card.type;
+}
 
 /**
  * Check if a card can be played on the current discard pile
@@ -19,14 +58,36 @@ function canPlayCard(card, state) {
     const topCard = state.discardPile[state.discardPile.length - 1];
     const currentColor = state.currentColor;
 
+    // Wild Draw Color: the player must draw until they find the chosen color
+    if (state.drawUntilColor) {
+        return {
+            canPlay: false,
+            reason: `You must draw until you get a ${state.drawUntilColor} card`
+        };
+    }
+
+    // Without stacking, a pending draw must simply be taken
+    if (state.stackedDrawCount > 0 && !state.settings.stacking) {
+        return {
+            canPlay: false,
+            reason: `You must draw ${state.stackedDrawCount} cards`
+        };
+    }
+
     // If there's an active stack, only matching stack cards, Reverse, or Skip can be played
     if (state.stackedDrawCount > 0) {
         // Can stack matching draw cards
-        if (state.stackType === 'drawTwo' && card.type === 'drawTwo') {
+        if (card.isDrawCard() && getStackType(card) === state.stackType) {
             return { canPlay: true, reason: null };
         }
-        if (state.stackType === 'drawFour' && card.type === 'wildDrawFour') {
-            return { canPlay: true, reason: null };
+        // Cross-stacking: +4 on any +2, +2 on a +4 only in the chosen color
+        if (state.settings.crossStacking) {
+            if (state.stackType === 'drawTwo' && card.type === 'wildDrawFour') {
+                return { canPlay: true, reason: null };
+            }
+            if (state.stackType === 'drawFour' && card.type === 'drawTwo' && card.color === currentColor) {
+                return { canPlay: true, reason: null };
+            }
         }
         // Can play Reverse to deflect the stack back to previous player
         if (card.type === 'reverse') {
@@ -36,9 +97,12 @@ function canPlayCard(card, state) {
         if (card.type === 'skip') {
             return { canPlay: true, reason: null };
         }
+        const stackCards = state.settings.crossStacking
+            ? 'Draw Two or Wild Draw Four'
+            : STACK_NAMES[state.stackType];
         return {
             canPlay: false,
-            reason: `You must play a ${state.stackType === 'drawTwo' ? 'Draw Two' : 'Wild Draw Four'}, Reverse, Skip, or draw ${state.stackedDrawCount} cards`
+            reason: `You must play a ${stackCards}, Reverse, Skip, or draw ${state.stackedDrawCount} cards`
         };
     }
 
@@ -67,6 +131,38 @@ function canPlayCard(card, state) {
     };
 }
 
+/**
+ * Check if a card can be played out of turn (jump-in)
+ * Only an identical card - same color and same value/type - may jump in.
+ * Wilds never match exactly, since their color is chosen.
+ * @param {Card} card - Card to play
+ * @param {object} state - Current game state
+ * @returns {{ canPlay: boolean, reason: string|null }}
+ */
+function canJumpIn(card, state) {
+    const topCard = state.discardPile[state.discardPile.length - 1];
+
+    if (!state.settings.jumpIn) {
+        return { canPlay: false, reason: 'Jump-in is not enabled' };
+    }
+
+    if ((state.stackedDrawCount > 0 && !state.settings.stacking) || state.drawUntilColor) {
+        return { canPlay: false, reason: 'Cannot jump in while a draw is pending' };
+    }
+
+    const identical = topCard &&
+        !card.isWild() &&
+        card.type === topCard.type &&
+        card.color === topCard.color &&
+        card.value === topCard.value;
+
+    if (!identical) {
+        return { canPlay: false, reason: 'You can only jump in with an identical card' };
+    }
+
+    return { canPlay: true, reason: null };
+}
+
 /**
  * Check if a player has any playable cards
  * @param {Card[]} hand - Player's hand
@@ -100,7 +196,7 @@ function applyCardEffect(card, state, chosenColor = null) {
 
     // Update current color
     if (card.isWild()) {
-        if (!chosenColor || !COLORS.includes(chosenColor)) {
+        if (!chosenColor || !getActiveColors(state).includes(chosenColor)) {
             throw new Error('Must choose a valid color for wild card');
         }
         state.currentColor = chosenColor;
@@ -120,49 +216,380 @@ function applyCardEffect(card, state, chosenColor = null) {
             // Reverse direction
             state.direction *= -1;
             // In 2-player game, reverse acts like skip
-            if (state.players.length === 2) {
+            if (getActivePlayerCount(state) === 2) {
                 state.skipNextPlayer = true;
             }
             break;
 
+        case 'drawOne':
         case 'drawTwo':
-            // Add to stack
-            state.stackedDrawCount += 2;
-            state.stackType = 'drawTwo';
+        case 'wildDrawTwo':
+        case 'wildDrawFour':
+        case 'drawFive':
+            addToStack(state, card);
             break;
 
-        case 'wildDrawFour':
-            // Add to stack
-            state.stackedDrawCount += 4;
-            state.stackType = 'drawFour';
+        case 'skipEveryone':
+            // Every other player is skipped, so the same player goes again
+            state.playAgain = true;
             break;
 
-        // Number and wild cards have no additional effect
+        case 'wildDrawColor':
+            // Next player draws until they get the chosen color
+            state.drawUntilColor = chosenColor;
+            break;
+
+        case 'flip':
+            flipCards(state);
+            break;
+
+        case 'wildShuffleHands':
+        case 'wildCustom':
+            applySpecialWildEffect(card, state);
+            break;
+
+        case 'number':
+            // Seven-O: only applies if the player still has cards to trade
+            if (state.settings.sevenO && state.players[state.currentPlayerIndex].hand.length > 0) {
+                if (card.value === 7) {
+                    // Player picks who to swap with (handled separately)
+                    state.awaitingSwapTarget = true;
+                } else if (card.value === 0) {
+                    rotateHands(state);
+                }
+            }
+            break;
+
+        // Wild cards have no additional effect
     }
 
     return state;
 }
 
 /**
- * Advance to the next player's turn
+ * UNO Flip: turn every card in play over, in place
+ * The new top card sets the color; if it is a wild, the player who
+ * flipped picks the color.
  * @param {object} state - Current game state (will be mutated)
  * @returns {object} Updated state
  */
-function advanceTurn(state) {
+function flipCards(state) {
+    for (const player of state.players) {
+        player.hand.forEach(card => card.flip());
+    }
+    state.drawPile.forEach(card => card.flip());
+    state.discardPile.forEach(card => card.flip());
+
+    state.side = state.side === 'dark' ? 'light' : 'dark';
+
+    const topCard = state.discardPile[state.discardPile.length - 1];
+    if (topCard.isWild()) {
+        state.awaitingColorChoice = true;
+        state.currentColor = null;
+    } else {
+        state.currentColor = topCard.color;
+    }
+
+    return state;
+}
+
+/**
+ * Add a draw card to the pending stack
+ * stackType follows the most recent card; stackCounts keeps the mix for display.
+ * @param {object} state - Current game state (will be mutated)
+ * @param {Card} card - Card with a fixed draw amount
+ * @returns {object} Updated state
+ */
+function addToStack(state, card) {
+    const stackType = getStackType(card);
+
+    state.stackedDrawCount += card.getDrawAmount();
+    state.stackType = stackType;
+    state.stackCounts[stackType] = (state.stackCounts[stackType] || 0) + 1;
+
+    return state;
+}
+
+/**
+ * Take a card's draw amount back off the pending stack
+ * stackType is left alone: the card is still on the discard pile.
+ * @param {object} state - Current game state (will be mutated)
+ * @param {Card} card - Card with a fixed draw amount that was added with addToStack
+ * @returns {object} Updated state
+ */
+function takeFromStack(state, card) {
+    const stackType = getStackType(card);
+
+    state.stackedDrawCount = Math.max(0, state.stackedDrawCount - card.getDrawAmount());
+    state.stackCounts[stackType] = Math.max(0, (state.stackCounts[stackType] || 0) - 1);
+
+    if (state.stackedDrawCount === 0) {
+        clearStack(state);
+    }
+
+    return state;
+}
+
+/**
+ * Clear the pending stack after it has been drawn
+ * @param {object} state - Current game state (will be mutated)
+ * @returns {object} Updated state
+ */
+function clearStack(state) {
+    state.stackedDrawCount = 0;
+    state.stackType = null;
+    state.stackCounts = {};
+    return state;
+}
+
+/**
+ * Swap the hands of two players
+ * @param {object} state - Current game state (will be mutated)
+ * @param {number} indexA - Index of first player
+ * @param {number} indexB - Index of second player
+ * @returns {object} Updated state
+ */
+function swapHands(state, indexA, indexB) {
+    const playerA = state.players[indexA];
+    const playerB = state.players[indexB];
+    [playerA.hand, playerB.hand] = [playerB.hand, playerA.hand];
+
+    resetUnoAfterHandChange(state);
+    return state;
+}
+
+/**
+ * Pass every hand to the next player in the current direction
+ * @param {object} state - Current game state (will be mutated)
+ * @returns {object} Updated state
+ */
+function rotateHands(state) {
+    const hands = state.players.map(p => p.hand);
+
+    state.players.forEach((player, i) => {
+        if (player.eliminated) return;
+        state.players[getNextPlayerIndex(state, i)].hand = hands[i];
+    });
+
+    resetUnoAfterHandChange(state);
+    return state;
+}
+
+/**
+ * Run the effect of a Wild Shuffle Hands or customizable wild
+ * Called once the color is chosen; like Seven-O, it only applies if the
+ * player still has cards (playing it as the last card simply wins).
+ * @param {Card} card - The special wild that was played
+ * @param {object} state - Current game state (will be mutated)
+ * @returns {object} Updated state
+ */
+function applySpecialWildEffect(card, state) {
+    if (state.players[state.currentPlayerIndex].hand.length === 0) {
+        return state;
+    }
+
+    if (card.type === 'wildShuffleHands') {
+        return shuffleHands(state);
+    }
+
+    switch (state.settings.customWildEffect) {
+        case 'everyoneDrawsTwo':
+            othersDraw(state, 2);
+            break;
+
+        case 'swapWithAnyPlayer':
+            // Player picks who to swap with (handled separately)
+            state.awaitingSwapTarget = true;
+            break;
+
+        case 'discardColor':
+            discardColor(state, state.currentColor);
+            break;
+    }
+
+    return state;
+}
+
+/**
+ * Wild Shuffle Hands: gather every hand, shuffle, and redeal one card at a
+ * time starting with the next player
+ * @param {object} state - Current game state (will be mutated)
+ * @returns {object} Updated state
+ */
+function shuffleHands(state) {
+    const cards = shuffle(state.players.flatMap(p => p.hand), randomFrom(state.rng));
+    logPile(state, { op: 'shuffleHands', count: cards.length });
+
+    for (const player of state.players) {
+        player.hand = [];
+    }
+
+    let receiver = state.currentPlayerIndex;
+    for (const card of cards) {
+        receiver = getNextPlayerIndex(state, receiver);
+        state.players[receiver].hand.push(card);
+    }
+
+    resetUnoAfterHandChange(state);
+    return state;
+}
+
+/**
+ * Draw cards from the game's draw pile
+ * Reshuffles the discard pile into a new draw pile when it runs out, and logs
+ * that. Every card taken, and the reshuffle, also goes in the pile log.
+ * @param {object} state - Current game state (will be mutated)
+ * @param {number} count - Number of cards to draw
+ * @param {object} player - Player the cards go to
+ * @returns {Card[]} Drawn cards (fewer than count if both piles run dry)
+ */
+function drawFromPiles(state, count, player) {
+    const reshuffleInput = state.discardPile.slice(0, -1).map(c => c.id);
+    const result = drawCards(state.drawPile, state.discardPile, count, randomFrom(state.rng));
+    state.drawPile = result.drawPile;
+    state.discardPile = result.discardPile;
+
+    const seat = state.players.indexOf(player);
+    let drawnIds = result.drawnCards.map(c => c.id);
+
+    if (result.reshuffled) {
+        if (result.reshuffledAfter > 0) {
+            logPile(state, { op: 'draw', seat, cardIds: drawnIds.slice(0, result.reshuffledAfter) });
+        }
+        logPile(state, { op: 'reshuffle', cardIds: reshuffleInput });
+        drawnIds = drawnIds.slice(result.reshuffledAfter);
+
+        recordEvent(state, {
+            type: 'reshuffle',
+            message: 'The discard pile was shuffled into a new draw pile'
+        });
+    }
+
+    if (drawnIds.length > 0) {
+        logPile(state, { op: 'draw', seat, cardIds: drawnIds });
+    }
+
+    return result.drawnCards;
+}
+
+/**
+ * Make every player except the current one draw cards
+ * @param {object} state - Current game state (will be mutated)
+ * @param {number} count - Cards each player draws
+ * @returns {object} Updated state
+ */
+function othersDraw(state, count) {
+    state.players.forEach((player, index) => {
+        if (index === state.currentPlayerIndex || player.eliminated) return;
+
+        player.hand.push(...drawFromPiles(state, count, player));
+        player.calledUno = false;
+    });
+
+    if (state.unoCallWindow && state.unoCallWindow.playerId !== state.players[state.currentPlayerIndex].id) {
+        state.unoCallWindow = null;
+    }
+
+    return state;
+}
+
+/**
+ * Discard every card of a color from the current player's hand
+ * The cards go beneath the top card so the wild stays on top.
+ * @param {object} state - Current game state (will be mutated)
+ * @param {string} color - Color to discard
+ * @returns {object} Updated state
+ */
+function discardColor(state, color) {
+    const player = state.players[state.currentPlayerIndex];
+    const discarded = player.hand.filter(c => c.color === color);
+
+    player.hand = player.hand.filter(c => c.color !== color);
+    state.discardPile.splice(state.discardPile.length - 1, 0, ...discarded);
+
+    return state;
+}
+
+/**
+ * Reset UNO status after hands change owners
+ * A player handed a single card did not play down to it, so they count as
+ * having called UNO and cannot be caught. Any open catch window is closed.
+ * @param {object} state - Current game state (will be mutated)
+ */
+function resetUnoAfterHandChange(state) {
+    for (const player of state.players) {
+        player.calledUno = player.hand.length === 1;
+    }
+    state.unoCallWindow = null;
+}
+
+/**
+ * Get the next player still in the game, in the current direction
+ * Knocked-out players (elimination mode) are passed over.
+ * @param {object} state - Current game state
+ * @param {number} fromIndex - Index to step from
+ * @returns {number} Index of the next active player
+ */
+function getNextPlayerIndex(state, fromIndex) {
     const playerCount = state.players.length;
+    let index = fromIndex;
 
-    // Move to next player
-    state.currentPlayerIndex = (state.currentPlayerIndex + state.direction + playerCount) % playerCount;
+    do {
+        index = (index + state.direction + playerCount) % playerCount;
+    } while (state.players[index].eliminated && index !== fromIndex);
+
+    return index;
+}
+
+/**
+ * Count the players who have not been knocked out
+ * @param {object} state - Current game state
+ * @returns {number}
+ */
+function getActivePlayerCount(state) {
+    return state.players.filter(p => !p.eliminated).length;
+}
+
+/**
+ * Advance to the next player's turn
+ * @param {object} state - Current game state (will be mutated)
+ * @returns {object} Updated state
+ */
+function advanceTurn(state) {
+    // Skip Everyone: the current player goes again
+    if (state.playAgain) {
+        state.playAgain = false;
+    } else {
+        // Move to next player
+        state.currentPlayerIndex = getNextPlayerIndex(state, state.currentPlayerIndex);
+    }
 
     // Handle skip
     if (state.skipNextPlayer) {
-        state.currentPlayerIndex = (state.currentPlayerIndex + state.direction + playerCount) % playerCount;
+        state.currentPlayerIndex = getNextPlayerIndex(state, state.currentPlayerIndex);
         state.skipNextPlayer = false;
     }
 
     // Reset UNO call status for the new current player
     state.players[state.currentPlayerIndex].calledUno = false;
 
+    // Any drawn card offer belonged to the previous turn
+    state.pendingDrawnCardId = null;
+
+    startTurnTimer(state);
+
+    return state;
+}
+
+/**
+ * Start the clock on the current player's turn
+ * Clears the deadline when the turn timer is off.
+ * @param {object} state - Current game state (will be mutated)
+ * @returns {object} Updated state
+ */
+function startTurnTimer(state) {
+    const seconds = state.settings.turnTimerSeconds;
+    state.turnDeadline = seconds > 0 ? now(state) + seconds * 1000 : null;
     return state;
 }
 
@@ -179,8 +606,7 @@ function processDrawnCards(state, playerIndex, drawnCards) {
 
     // Clear stacking if this was a stack draw
     if (state.stackedDrawCount > 0) {
-        state.stackedDrawCount = 0;
-        state.stackType = null;
+        clearStack(state);
     }
 
     return state;
@@ -206,31 +632,64 @@ function applyFirstCardEffect(firstCard, state) {
     switch (firstCard.type) {
         case 'skip':
             // First player is skipped
-            state.currentPlayerIndex = (state.currentPlayerIndex + state.direction + state.players.length) % state.players.length;
+            state.currentPlayerIndex = getNextPlayerIndex(state, state.currentPlayerIndex);
             break;
 
         case 'reverse':
             // Reverse direction
             state.direction = -1;
-            // In 2-player game, first player is skipped
-            if (state.players.length === 2) {
-                state.currentPlayerIndex = 1;
-            } else {
-                // In multiplayer, play goes to the player before the first player
-                state.currentPlayerIndex = (state.players.length - 1);
-            }
+            // Play goes to the player before the first player
+            // (in a 2-player game that skips the first player)
+            state.currentPlayerIndex = getNextPlayerIndex(state, state.currentPlayerIndex);
             break;
 
+        case 'drawOne':
         case 'drawTwo':
-            // First player draws 2 and is skipped
-            state.stackedDrawCount = 2;
-            state.stackType = 'drawTwo';
+            // First player draws and is skipped
+            addToStack(state, firstCard);
             break;
+
+        // A starting Flip card is played as a plain colored card
     }
 
     return state;
 }
 
+/**
+ * Capture what decides which cards were playable, so a Wild Draw Four can be judged later
+ * @param {object} state - Game state before the Wild Draw Four is played
+ * @returns {object} { currentColor, topCard, stackedDrawCount, stackType, stackCounts }
+ */
+function getPlayContext(state) {
+    const topCard = state.discardPile[state.discardPile.length - 1];
+    return {
+        currentColor: state.currentColor,
+        topCard: topCard ? topCard.toJSON() : null,
+        stackedDrawCount: state.stackedDrawCount,
+        stackType: state.stackType,
+        stackCounts: { ...state.stackCounts }
+    };
+}
+
+/**
+ * Check if a Wild Draw Four was played illegally
+ * The play is illegal if the player held a card of the color in effect before it
+ * that could have been played instead (so a stack limits what counts).
+ * @param {Card[]} hand - Hand of the player who played the Wild Draw Four (after playing it)
+ * @param {object} context - Play context from before the Wild Draw Four (see getPlayContext)
+ * @param {object} settings - Game settings
+ * @returns {boolean}
+ */
+function isWildDrawFourIllegal(hand, context, settings) {
+    if (!context.currentColor || !context.topCard) {
+        return false;
+    }
+    const before = { ...context, discardPile: [context.topCard], settings };
+    return hand.some(card =>
+        !card.isWild() && card.color === context.currentColor && canPlayCard(card, before).canPlay
+    );
+}
+
 /**
  * Check if UNO call is valid (player has exactly 2 cards and is about to play)
  * @param {Card[]} hand - Player's hand
@@ -251,13 +710,28 @@ function canCatchUno(player) {
 }
 
 module.exports = {
+    drawFromPiles,
+    getActiveColors,
     canPlayCard,
+    canJumpIn,
     hasPlayableCard,
     getPlayableCards,
     applyCardEffect,
+    addToStack,
+    takeFromStack,
+    clearStack,
     advanceTurn,
+    startTurnTimer,
+    getNextPlayerIndex,
+    getActivePlayerCount,
+    flipCards,
     processDrawnCards,
     applyFirstCardEffect,
+    swapHands,
+    rotateHands,
+    applySpecialWildEffect,
+    getPlayContext,
+    isWildDrawFourIllegal,
     canCallUno,
     canCatchUno
 };
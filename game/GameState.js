@@ -6,35 +6,61 @@
  * - Draw and discard piles
  * - Current turn and direction
  * - Stacking state
+ * - Wild Draw Four challenges
+ * - Seven-O hand swaps
+ * - Jump-in plays out of turn
+ * - UNO Flip light/dark side
  * - UNO call tracking
+ * - Auto-play for disconnected players
  * - Scoring
+ * - Event log of everything that happened
+ * - Seeded shuffling, so a game can be replayed from its seed and moves
+ * - Commit-reveal of each round's shuffle, so players can check it was fair
+ * - Saving and restoring across server restarts
  */
 
-const { createDeck, shuffle, dealHands, getStartingCard, drawCards } = require('./Deck');
-const { applyFirstCardEffect, applyCardEffect, advanceTurn, processDrawnCards, canPlayCard, hasPlayableCard, canCatchUno } = require('./GameRules');
-const { calculateRoundScores, checkGameOver } = require('./Scoring');
+const { Card } = require('./Card');
+const { createDeck, shuffle, dealHands, getStartingCard } = require('./Deck');
+const { logAction, cardsSecret } = require('./EventLog');
+const { createSeed, createRng, randomFrom } = require('./Random');
+const { deriveRoundSeed, createCommitment, logPile, getReveal } = require('./Fairness');
+const { now } = require('./Clock');
+const { drawFromPiles, applyFirstCardEffect, applyCardEffect, advanceTurn, processDrawnCards, canPlayCard, hasPlayableCard, canCatchUno, getPlayContext, isWildDrawFourIllegal, swapHands, canJumpIn, addToStack, takeFromStack, clearStack, getActiveColors, applySpecialWildEffect, startTurnTimer } = require('./GameRules');
+const { calculateHandValue, calculateRoundScores, checkGameOver, getTeamScores } = require('./Scoring');
+const { getDefaultSettings } = require('./Settings');
 
 /**
  * Create a new game state
  * @param {string} roomCode - Room code for this game
  * @param {object[]} lobbyPlayers - Array of { id, name } from lobby
- * @param {number} targetScore - Score to win (default: 500)
+ * @param {object} settings - Validated house rules (default: official rules)
+ * @param {string} seed - Seed for every shuffle in the game (default: a fresh random one)
  * @returns {object} Initial game state
  */
-function createGameState(roomCode, lobbyPlayers, targetScore = 500) {
+function createGameState(roomCode, lobbyPlayers, settings = getDefaultSettings(), seed = createSeed()) {
     // Initialize players with empty hands and zero score
-    const players = lobbyPlayers.map(p => ({
+    let players = lobbyPlayers.map(p => ({
         id: p.id,
         name: p.name,
+        team: settings.teamMode ? p.team : null,
         hand: [],
         score: 0,
         connected: true,
-        calledUno: false
+        calledUno: false,
+        eliminated: false, // Elimination mode: knocked out, spectating with no hand
+        isBot: p.isBot || false,
+        difficulty: p.isBot ? p.difficulty : null,
+        autoPlay: false, // Disconnected past the grace period: a server bot plays the seat
+        removed: false // Kicked by the host: the seat is skipped like a knocked-out one
     }));
 
+    if (settings.teamMode) {
+        players = seatPartners(players);
+    }
+
     return {
         roomCode,
-        phase: 'starting', // starting, playing, roundEnd, gameOver
+        phase: 'starting', // starting, playing, awaitingChallenge, roundEnd, gameOver
         players,
         currentPlayerIndex: 0,
         direction: 1, // 1 = clockwise, -1 = counter-clockwise
@@ -42,56 +68,120 @@ function createGameState(roomCode, lobbyPlayers, targetScore = 500) {
         drawPile: [],
         currentColor: null,
         stackedDrawCount: 0,
-        stackType: null, // 'drawTwo' or 'drawFour'
+        stackType: null, // 'drawTwo', 'drawFour' or a Flip draw type - type of the most recent stacked card
+        stackCounts: {}, // How many of each stack type make up the stack
         skipNextPlayer: false,
+        playAgain: false, // Skip Everyone: current player goes again
+        side: 'light', // UNO Flip: side of the cards in play
+        drawUntilColor: null, // Wild Draw Color: color the current player must draw until
+        pendingDrawColor: false, // Wild Draw Color played, waiting for its color
+        pendingWildEffect: false, // Special wild played, its effect runs once the color is chosen
+        pendingDrawnCardId: null, // Playable card the current player just drew
         awaitingColorChoice: false,
-        unoCallWindow: null, // { playerId, expiresAt } for catching
+        awaitingSwapTarget: false, // Seven-O 7 or swapping customizable wild: player picks who to swap with
+        drawFourChallenge: null, // { playerId, before } while a Wild Draw Four can be challenged
+        unoCallWindow: null, // { playerId, expiresAt } for catching; expiresAt is null in official mode
+        turnDeadline: null, // Timestamp when the current player's turn times out (turn timer on)
         hostId: lobbyPlayers[0]?.id,
-        settings: { targetScore },
+        settings: { ...settings },
         roundNumber: 1,
-        lastAction: null // For displaying what happened
+        lastAction: null, // For displaying what happened
+        events: [], // Append-only log, see EventLog.js
+        seed, // Secret until the game is over
+        rng: createRng(seed), // Source of every shuffle, see Random.js; reseeded each round
+        roundSeed: null, // Secret until the round is over, see Fairness.js
+        commitment: null, // Published hash of the round seed and shuffled deck
+        pileLog: [], // Every card on and off the draw pile this round
+        moves: [], // Moves applied so far, see Replay.js
+        replayId: null, // Set once the finished game is saved as a replay
+        clock: null // Fixed time while replaying, see Clock.js
     };
 }
 
+/**
+ * Team mode: order players so partners sit opposite each other
+ * Teams alternate around the table, starting with the first player's team.
+ * @param {object[]} players - Players with team assigned
+ * @returns {object[]} Players in seating order
+ */
+function seatPartners(players) {
+    const firstTeam = players.filter(p => p.team === players[0].team);
+    const otherTeam = players.filter(p => p.team !== players[0].team);
+
+    const seated = [];
+    for (let i = 0; i < Math.max(firstTeam.length, otherTeam.length); i++) {
+        if (firstTeam[i]) seated.push(firstTeam[i]);
+        if (otherTeam[i]) seated.push(otherTeam[i]);
+    }
+    return seated;
+}
+
 /**
  * Start a new round
  * @param {object} state - Current game state
  * @returns {object} Updated state ready for play
  */
 function startRound(state) {
+    // Each round shuffles from its own seed, committed to before anyone sees a card
+    state.roundSeed = deriveRoundSeed(state.seed, state.roundNumber);
+    state.rng = createRng(state.roundSeed);
+    state.pileLog = [];
+
     // Create and shuffle deck
-    let deck = shuffle(createDeck());
+    const random = randomFrom(state.rng);
+    const deck = shuffle(createDeck(state.settings.gameMode, state.settings.specialWilds, random), random);
+    state.commitment = createCommitment(state.roundSeed, deck);
 
-    // Deal 7 cards to each player
-    const { hands, remainingDeck } = dealHands(deck, state.players.length, 7);
+    // Deal the configured hand size to each player still in the game
+    const knockedOut = state.players
+        .map((p, index) => (p.eliminated ? index : -1))
+        .filter(index => index !== -1);
+    const { hands, remainingDeck } = dealHands(deck, state.players.length, state.settings.handSize, knockedOut);
 
     // Assign hands to players
     for (let i = 0; i < state.players.length; i++) {
         state.players[i].hand = hands[i];
         state.players[i].calledUno = false;
     }
+    logPile(state, { op: 'deal', hands: hands.map(hand => hand.map(c => c.id)) });
 
-    // Get starting card (reshuffles if Wild Draw Four)
-    const { startCard, deck: deckAfterStart } = getStartingCard(remainingDeck);
+    // Get starting card (reshuffles if a drawing wild)
+    const { startCard, deck: deckAfterStart } = getStartingCard(remainingDeck, random);
+    logPile(state, { op: 'start', cardId: startCard.id });
 
     state.drawPile = deckAfterStart;
     state.discardPile = [startCard];
-    state.currentPlayerIndex = 0;
+    state.currentPlayerIndex = state.players.findIndex(p => !p.eliminated);
     state.direction = 1;
-    state.stackedDrawCount = 0;
-    state.stackType = null;
+    clearStack(state);
     state.skipNextPlayer = false;
+    state.playAgain = false;
+    state.side = 'light';
+    state.drawUntilColor = null;
+    state.pendingDrawColor = false;
+    state.pendingWildEffect = false;
+    state.pendingDrawnCardId = null;
     state.awaitingColorChoice = false;
+    state.awaitingSwapTarget = false;
+    state.drawFourChallenge = null;
     state.unoCallWindow = null;
     state.phase = 'playing';
 
     // Apply first card effects
     applyFirstCardEffect(startCard, state);
+    startTurnTimer(state);
+
+    const dealtHands = {};
+    state.players.forEach((p, index) => {
+        dealtHands[index] = { cards: p.hand.map(c => c.toJSON()) };
+    });
 
-    state.lastAction = {
+    logAction(state, {
         type: 'roundStart',
+        roundNumber: state.roundNumber,
+        commitment: state.commitment,
         message: `Round ${state.roundNumber} started! First card: ${formatCard(startCard)}`
-    };
+    }, dealtHands);
 
     return state;
 }
@@ -123,6 +213,10 @@ function playCard(state, playerId, cardId, chosenColor = null) {
         return { success: false, state, error: 'Must choose a color first' };
     }
 
+    if (state.awaitingSwapTarget) {
+        return { success: false, state, error: 'Must choose a player to swap with first' };
+    }
+
     const player = state.players[playerIndex];
     const cardIndex = player.hand.findIndex(c => c.id === cardId);
 
@@ -130,6 +224,10 @@ function playCard(state, playerId, cardId, chosenColor = null) {
         return { success: false, state, error: 'Card not in hand' };
     }
 
+    if (state.pendingDrawnCardId && state.settings.mustPlayDrawn && cardId !== state.pendingDrawnCardId) {
+        return { success: false, state, error: 'You must play the card you drew' };
+    }
+
     const card = player.hand[cardIndex];
 
     // Validate play
@@ -138,12 +236,23 @@ function playCard(state, playerId, cardId, chosenColor = null) {
         return { success: false, state, error: reason };
     }
 
+    closeUnoCallWindowOnTurnStart(state, player.id);
+
     // Check UNO call requirement (must call BEFORE playing second-to-last card)
     // If player has 2 cards and is about to play one, they should have called UNO
     // We'll check this after the play for catch window
 
     // Remove card from hand
     player.hand.splice(cardIndex, 1);
+    state.pendingDrawnCardId = null;
+
+    // Remember what was playable before a Wild Draw Four so it can be challenged
+    if (card.type === 'wildDrawFour' && state.settings.wildDrawFourChallenge) {
+        state.drawFourChallenge = {
+            playerId: player.id,
+            before: getPlayContext(state)
+        };
+    }
 
     // Check if we need color choice BEFORE applying effects (for wild cards without color)
     if (card.isWild() && !chosenColor) {
@@ -151,19 +260,28 @@ function playCard(state, playerId, cardId, chosenColor = null) {
         state.discardPile.push(card);
         state.awaitingColorChoice = true;
 
-        // For Wild Draw Four, set up the stack NOW
-        if (card.type === 'wildDrawFour') {
-            state.stackedDrawCount += 4;
-            state.stackType = 'drawFour';
+        // For drawing wilds, set up the stack NOW
+        if (card.isDrawCard()) {
+            addToStack(state, card);
+        }
+
+        // Wild Draw Color takes effect once its color is chosen
+        if (card.type === 'wildDrawColor') {
+            state.pendingDrawColor = true;
         }
 
-        state.lastAction = {
+        // Shuffle Hands and customizable wilds also wait for the color
+        if (card.isSpecialWild()) {
+            state.pendingWildEffect = true;
+        }
+
+        logAction(state, {
             type: 'playCard',
             playerId: player.id,
             playerName: player.name,
             card: card.toJSON(),
             message: `${player.name} played ${formatCard(card)} - choosing color...`
-        };
+        });
 
         // Check for round win
         if (player.hand.length === 0) {
@@ -172,46 +290,221 @@ function playCard(state, playerId, cardId, chosenColor = null) {
 
         // Set UNO catch window if applicable
         if (player.hand.length === 1 && !player.calledUno) {
-            state.unoCallWindow = {
-                playerId: player.id,
-                expiresAt: Date.now() + 3000
-            };
+            openUnoCallWindow(state, player);
         }
 
         return { success: true, state, error: null };
     }
 
+    // Describe the card before its effect runs (a Flip card turns itself over)
+    const playedCard = card.isWild() ? { ...card.toJSON(), color: chosenColor } : card.toJSON();
+    const playedCardName = formatCard(card);
+
     // Apply card effect (for non-wild cards, or wild cards WITH color already chosen)
     try {
         applyCardEffect(card, state, chosenColor);
     } catch (e) {
         // Put card back if error
+        if (state.discardPile[state.discardPile.length - 1] === card) {
+            state.discardPile.pop();
+        }
+        if (state.drawFourChallenge && state.drawFourChallenge.playerId === player.id) {
+            state.drawFourChallenge = null;
+        }
         player.hand.push(card);
         return { success: false, state, error: e.message };
     }
 
-    // Check for round win
+    // Check for round win, logging the winning card first
     if (player.hand.length === 0) {
+        logAction(state, {
+            type: 'playCard',
+            playerId: player.id,
+            playerName: player.name,
+            card: playedCard,
+            message: `${player.name} played ${playedCardName}${chosenColor ? ` and chose ${chosenColor}` : ''}`
+        });
         return endRound(state, playerIndex);
     }
 
+    // UNO Flip: a wild turned face up, so the player picks the color
+    if (state.awaitingColorChoice) {
+        logAction(state, {
+            type: 'playCard',
+            playerId: player.id,
+            playerName: player.name,
+            card: playedCard,
+            message: `${player.name} played ${playedCardName} - choosing color...`
+        });
+        return { success: true, state, error: null };
+    }
+
+    // Seven-O: wait for the player to pick who to swap with
+    if (state.awaitingSwapTarget) {
+        logAction(state, {
+            type: 'playCard',
+            playerId: player.id,
+            playerName: player.name,
+            card: playedCard,
+            message: `${player.name} played ${playedCardName} - choosing who to swap with...`
+        });
+        return { success: true, state, error: null };
+    }
+
     // Set UNO catch window if player has 1 card and didn't call UNO
     if (player.hand.length === 1 && !player.calledUno) {
-        state.unoCallWindow = {
-            playerId: player.id,
-            expiresAt: Date.now() + 3000 // 3 second window to catch
-        };
-    } else {
-        state.unoCallWindow = null;
+        openUnoCallWindow(state, player);
     }
 
-    state.lastAction = {
+    logAction(state, {
         type: 'playCard',
         playerId: player.id,
         playerName: player.name,
-        card: card.toJSON(),
-        message: `${player.name} played ${formatCard(card)}${chosenColor ? ` and chose ${chosenColor}` : ''}`
-    };
+        card: playedCard,
+        message: `${player.name} played ${playedCardName}${chosenColor ? ` and chose ${chosenColor}` : ''}${isHandRotation(card, state) ? ' - hands passed along!' : ''}${describeSpecialWild(card, state)}`
+    });
+
+    // Advance to next turn
+    advanceTurn(state);
+    openChallengeWindow(state);
+
+    return { success: true, state, error: null };
+}
+
+/**
+ * Jump in: play a card identical to the top card out of turn
+ * Play continues from the jumping player. The caller names the top card it
+ * saw, so when two players jump in at once only the first one lands.
+ * @param {object} state - Current game state
+ * @param {string} playerId - ID of player jumping in
+ * @param {string} cardId - ID of card to play
+ * @param {string} topCardId - ID of the top card the player is jumping on
+ * @returns {{ success: boolean, state: object, error: string|null }}
+ */
+function jumpIn(state, playerId, cardId, topCardId) {
+    const playerIndex = state.players.findIndex(p => p.id === playerId);
+
+    if (playerIndex === -1) {
+        return { success: false, state, error: 'Player not found' };
+    }
+
+    if (state.phase !== 'playing') {
+        return { success: false, state, error: 'Game is not in playing phase' };
+    }
+
+    if (state.awaitingColorChoice || state.awaitingSwapTarget) {
+        return { success: false, state, error: 'Cannot jump in right now' };
+    }
+
+    const topCard = state.discardPile[state.discardPile.length - 1];
+    if (!topCard || topCard.id !== topCardId) {
+        return { success: false, state, error: 'Too late - someone else played first' };
+    }
+
+    const player = state.players[playerIndex];
+    const card = player.hand.find(c => c.id === cardId);
+
+    if (!card) {
+        return { success: false, state, error: 'Card not in hand' };
+    }
+
+    const { canPlay, reason } = canJumpIn(card, state);
+    if (!canPlay) {
+        return { success: false, state, error: reason };
+    }
+
+    // Play continues from the jumper
+    const previousPlayerIndex = state.currentPlayerIndex;
+    const previousDrawnCardId = state.pendingDrawnCardId;
+    state.currentPlayerIndex = playerIndex;
+    state.pendingDrawnCardId = null;
+
+    const result = playCard(state, playerId, cardId);
+    if (!result.success) {
+        state.currentPlayerIndex = previousPlayerIndex;
+        state.pendingDrawnCardId = previousDrawnCardId;
+        return result;
+    }
+
+    if (state.lastAction && state.lastAction.type === 'playCard') {
+        state.lastAction.jumpIn = true;
+        state.lastAction.message = `${player.name} jumped in! ${state.lastAction.message}`;
+    }
+
+    return result;
+}
+
+/**
+ * Check if a played card rotated every hand (Seven-O zero)
+ * @param {Card} card - Card that was played
+ * @param {object} state - Current game state
+ * @returns {boolean}
+ */
+function isHandRotation(card, state) {
+    return state.settings.sevenO && card.type === 'number' && card.value === 0;
+}
+
+/**
+ * Describe what a Shuffle Hands or customizable wild just did, for the action message
+ * @param {Card} card - Card that was played
+ * @param {object} state - Current game state
+ * @returns {string} Message suffix, empty for other cards
+ */
+function describeSpecialWild(card, state) {
+    if (!card.isSpecialWild() || state.awaitingSwapTarget) {
+        return '';
+    }
+    if (card.type === 'wildShuffleHands') {
+        return ' - hands shuffled and redealt!';
+    }
+
+    switch (state.settings.customWildEffect) {
+        case 'everyoneDrawsTwo':
+            return ' - everyone else draws 2!';
+        case 'discardColor':
+            return ` - discarded all ${state.currentColor} cards!`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Swap hands with the chosen player after a Seven-O 7 or a swapping customizable wild
+ * @param {object} state - Current game state
+ * @param {string} playerId - ID of player who played the card
+ * @param {string} targetId - ID of player to swap with
+ * @returns {{ success: boolean, state: object, error: string|null }}
+ */
+function chooseSwapTarget(state, playerId, targetId) {
+    const playerIndex = state.players.findIndex(p => p.id === playerId);
+
+    if (playerIndex !== state.currentPlayerIndex) {
+        return { success: false, state, error: 'Not your turn' };
+    }
+
+    if (!state.awaitingSwapTarget) {
+        return { success: false, state, error: 'Not awaiting a swap target' };
+    }
+
+    const targetIndex = state.players.findIndex(p => p.id === targetId);
+    if (targetIndex === -1 || targetIndex === playerIndex || state.players[targetIndex].eliminated) {
+        return { success: false, state, error: 'Invalid swap target' };
+    }
+
+    const player = state.players[playerIndex];
+    const target = state.players[targetIndex];
+
+    swapHands(state, playerIndex, targetIndex);
+    state.awaitingSwapTarget = false;
+
+    logAction(state, {
+        type: 'swapHands',
+        playerId: player.id,
+        playerName: player.name,
+        targetId: target.id,
+        targetName: target.name,
+        message: `${player.name} swapped hands with ${target.name}`
+    });
 
     // Advance to next turn
     advanceTurn(state);
@@ -219,6 +512,16 @@ function playCard(state, playerId, cardId, chosenColor = null) {
     return { success: true, state, error: null };
 }
 
+/**
+ * Let the next player challenge a pending Wild Draw Four
+ * @param {object} state - Current game state (will be mutated)
+ */
+function openChallengeWindow(state) {
+    if (state.drawFourChallenge) {
+        state.phase = 'awaitingChallenge';
+    }
+}
+
 /**
  * Choose a color for a wild card
  * @param {object} state - Current game state
@@ -237,43 +540,163 @@ function chooseColor(state, playerId, color) {
         return { success: false, state, error: 'Not awaiting color choice' };
     }
 
-    const validColors = ['red', 'yellow', 'green', 'blue'];
-    if (!validColors.includes(color)) {
+    if (!getActiveColors(state).includes(color)) {
         return { success: false, state, error: 'Invalid color' };
     }
 
     state.currentColor = color;
     state.awaitingColorChoice = false;
 
+    // Wild Draw Color: the next player draws until they get this color
+    if (state.pendingDrawColor) {
+        state.drawUntilColor = color;
+        state.pendingDrawColor = false;
+    }
+
     // Update the top card's color for display
     const topCard = state.discardPile[state.discardPile.length - 1];
     if (topCard) {
         topCard.color = color;
     }
 
+    // Shuffle Hands / customizable wild: its effect runs now
+    let effectNote = '';
+    if (state.pendingWildEffect) {
+        state.pendingWildEffect = false;
+        applySpecialWildEffect(topCard, state);
+        effectNote = describeSpecialWild(topCard, state);
+    }
+
     const player = state.players[playerIndex];
 
-    // Check for round win
+    // Check for round win, logging the color choice first
     if (player.hand.length === 0) {
+        logAction(state, {
+            type: 'chooseColor',
+            playerId: player.id,
+            playerName: player.name,
+            color,
+            message: `${player.name} chose ${color}${effectNote}`
+        });
         return endRound(state, playerIndex);
     }
 
-    state.lastAction = {
+    // Customizable wild: wait for the player to pick who to swap with
+    if (state.awaitingSwapTarget) {
+        logAction(state, {
+            type: 'chooseColor',
+            playerId: player.id,
+            playerName: player.name,
+            color,
+            message: `${player.name} chose ${color} - choosing who to swap with...`
+        });
+        return { success: true, state, error: null };
+    }
+
+    logAction(state, {
         type: 'chooseColor',
         playerId: player.id,
         playerName: player.name,
         color,
-        message: `${player.name} chose ${color}`
-    };
+        message: `${player.name} chose ${color}${effectNote}`
+    });
 
     // Advance to next turn
     advanceTurn(state);
+    openChallengeWindow(state);
+
+    return { success: true, state, error: null };
+}
+
+/**
+ * Respond to a Wild Draw Four: challenge it or let it stand
+ * A successful challenge makes the previous player draw the 4 instead; the
+ * challenger still owes anything stacked before the Wild Draw Four and takes
+ * their turn with it. A failed challenge adds 2 to what the challenger owes
+ * (6 for a lone Wild Draw Four), which they draw at once, losing their turn.
+ * @param {object} state - Current game state
+ * @param {string} playerId - ID of player targeted by the Wild Draw Four
+ * @param {boolean} challenge - True to challenge, false to accept
+ * @returns {{ success: boolean, state: object, error: string|null }}
+ */
+function respondToChallenge(state, playerId, challenge) {
+    const playerIndex = state.players.findIndex(p => p.id === playerId);
+
+    if (playerIndex === -1) {
+        return { success: false, state, error: 'Player not found' };
+    }
+
+    if (state.phase !== 'awaitingChallenge' || !state.drawFourChallenge) {
+        return { success: false, state, error: 'There is no Wild Draw Four to challenge' };
+    }
+
+    if (playerIndex !== state.currentPlayerIndex) {
+        return { success: false, state, error: 'Not your turn' };
+    }
+
+    const challenger = state.players[playerIndex];
+    const offender = state.players.find(p => p.id === state.drawFourChallenge.playerId);
+    const { before } = state.drawFourChallenge;
+
+    state.drawFourChallenge = null;
+    state.phase = 'playing';
+    closeUnoCallWindowOnTurnStart(state, challenger.id);
+
+    // Accepting leaves the stack in place: the player may still stack or draw
+    if (!challenge || !offender) {
+        logAction(state, {
+            type: 'acceptDrawFour',
+            playerId: challenger.id,
+            playerName: challenger.name,
+            message: `${challenger.name} did not challenge the Wild Draw Four`
+        });
+        return { success: true, state, error: null };
+    }
+
+    const guilty = isWildDrawFourIllegal(offender.hand, before, state.settings);
+    const loser = guilty ? offender : challenger;
+    const drawFour = state.discardPile[state.discardPile.length - 1];
+    const penaltyCount = guilty ? drawFour.getDrawAmount() : state.stackedDrawCount + 2;
+
+    const penaltyCards = drawFromPiles(state, penaltyCount, loser);
+    loser.hand.push(...penaltyCards);
+
+    if (guilty) {
+        takeFromStack(state, drawFour);
+    } else {
+        clearStack(state);
+    }
+
+    // The penalty takes the loser off one card, so there is nothing left to catch
+    if (state.unoCallWindow && state.unoCallWindow.playerId === loser.id) {
+        state.unoCallWindow = null;
+    }
+
+    logAction(state, {
+        type: 'challenge',
+        challengerId: challenger.id,
+        challengerName: challenger.name,
+        targetId: offender.id,
+        targetName: offender.name,
+        guilty,
+        count: penaltyCards.length,
+        message: guilty
+            ? `${challenger.name} challenged ${offender.name} and won! ${offender.name} draws ${penaltyCards.length}`
+            : `${challenger.name} challenged ${offender.name} and lost! ${challenger.name} draws ${penaltyCards.length}`
+    }, cardsSecret(state, loser, penaltyCards));
+
+    // A failed challenge costs the challenger their turn
+    if (!guilty) {
+        advanceTurn(state);
+    }
 
     return { success: true, state, error: null };
 }
 
 /**
  * Draw card(s) for the current player
+ * With drawUntilPlayable, keeps drawing until a playable card turns up
+ * (or the piles run dry); the whole batch is returned.
  * @param {object} state - Current game state
  * @param {string} playerId - ID of player drawing
  * @returns {{ success: boolean, state: object, drawnCards: Card[], canPlayDrawn: boolean, error: string|null }}
@@ -297,42 +720,62 @@ function playerDrawCards(state, playerId) {
         return { success: false, state, drawnCards: [], canPlayDrawn: false, error: 'Must choose a color first' };
     }
 
-    const player = state.players[playerIndex];
+    if (state.awaitingSwapTarget) {
+        return { success: false, state, drawnCards: [], canPlayDrawn: false, error: 'Must choose a player to swap with first' };
+    }
 
-    // Determine how many cards to draw
-    let drawCount = state.stackedDrawCount > 0 ? state.stackedDrawCount : 1;
+    if (state.pendingDrawnCardId) {
+        return { success: false, state, drawnCards: [], canPlayDrawn: false, error: 'You already drew - play the drawn card or keep it' };
+    }
 
-    // Draw the cards
-    const result = drawCards(state.drawPile, state.discardPile, drawCount);
-    state.drawPile = result.drawPile;
-    state.discardPile = result.discardPile;
-    const drawnCards = result.drawnCards;
+    const player = state.players[playerIndex];
+    const isStackDraw = state.stackedDrawCount > 0;
+
+    closeUnoCallWindowOnTurnStart(state, player.id);
+    const drawUntilColor = state.drawUntilColor;
+
+    let drawnCards;
+    if (drawUntilColor) {
+        // Wild Draw Color: draw until the chosen color turns up, then lose the turn
+        drawnCards = drawUntil(state, player, card => card.color === drawUntilColor);
+        state.drawUntilColor = null;
+    } else if (!isStackDraw && state.settings.drawUntilPlayable) {
+        // Draw one at a time until something can be played
+        drawnCards = drawUntil(state, player, card => canPlayCard(card, state).canPlay);
+    } else {
+        // Draw the stack, or a single card
+        const drawCount = isStackDraw ? state.stackedDrawCount : 1;
+        drawnCards = drawFromPiles(state, drawCount, player);
+    }
 
     // Process the drawn cards
     processDrawnCards(state, playerIndex, drawnCards);
 
-    // Check if drawn card can be played (only for single draw, not stack)
+    // Check if the last drawn card can be played (not after a penalty draw)
     let canPlayDrawn = false;
-    if (state.stackedDrawCount === 0 && drawnCards.length === 1) {
-        canPlayDrawn = canPlayCard(drawnCards[0], state).canPlay;
+    if (!isStackDraw && !drawUntilColor && drawnCards.length > 0) {
+        canPlayDrawn = canPlayCard(drawnCards[drawnCards.length - 1], state).canPlay;
     }
 
     // Clear stack
     if (state.stackedDrawCount > 0) {
-        state.stackedDrawCount = 0;
-        state.stackType = null;
+        clearStack(state);
     }
 
-    state.lastAction = {
+    logAction(state, {
         type: 'draw',
         playerId: player.id,
         playerName: player.name,
         count: drawnCards.length,
-        message: `${player.name} drew ${drawnCards.length} card${drawnCards.length > 1 ? 's' : ''}`
-    };
+        // Card backs only, so every client can animate the batch
+        cards: drawnCards.map(c => c.toJSON(true)),
+        message: `${player.name} drew ${drawnCards.length} card${drawnCards.length === 1 ? '' : 's'}`
+    }, cardsSecret(state, player, drawnCards));
 
     // If can't play drawn card (or it was a stack draw), end turn
-    if (!canPlayDrawn) {
+    if (canPlayDrawn) {
+        state.pendingDrawnCardId = drawnCards[drawnCards.length - 1].id;
+    } else {
         advanceTurn(state);
     }
 
@@ -345,6 +788,27 @@ function playerDrawCards(state, playerId) {
     };
 }
 
+/**
+ * Draw one card at a time until a card satisfies the condition or the piles run dry
+ * @param {object} state - Current game state (will be mutated)
+ * @param {object} player - Player drawing
+ * @param {function} isDone - Returns true for the card that ends the draw
+ * @returns {Card[]} Drawn cards, in draw order
+ */
+function drawUntil(state, player, isDone) {
+    const drawnCards = [];
+
+    for (;;) {
+        const [card] = drawFromPiles(state, 1, player);
+        if (!card) break;
+
+        drawnCards.push(card);
+        if (isDone(card)) break;
+    }
+
+    return drawnCards;
+}
+
 /**
  * Skip playing the drawn card and end turn
  * @param {object} state - Current game state
@@ -358,22 +822,74 @@ function skipPlayDrawnCard(state, playerId) {
         return { success: false, state, error: 'Not your turn' };
     }
 
+    if (!state.pendingDrawnCardId) {
+        return { success: false, state, error: 'You have no drawn card to keep' };
+    }
+
+    if (state.settings.mustPlayDrawn) {
+        return { success: false, state, error: 'You must play the card you drew' };
+    }
+
     const player = state.players[playerIndex];
 
-    state.lastAction = {
+    logAction(state, {
         type: 'skipPlay',
         playerId: player.id,
         playerName: player.name,
         message: `${player.name} kept the drawn card`
-    };
+    });
 
     advanceTurn(state);
 
     return { success: true, state, error: null };
 }
 
+/**
+ * Open the UNO catch window on a player who played down to one card without calling
+ * Official mode leaves it open until the next player starts their turn;
+ * timed mode closes it after the configured number of seconds.
+ * @param {object} state - Current game state (will be mutated)
+ * @param {object} player - Player who can be caught
+ */
+function openUnoCallWindow(state, player) {
+    state.unoCallWindow = {
+        playerId: player.id,
+        expiresAt: state.settings.unoCatchMode === 'nextTurn'
+            ? null
+            : now(state) + state.settings.unoCatchWindowSeconds * 1000
+    };
+}
+
+/**
+ * Official mode: close the catch window once another player starts acting
+ * @param {object} state - Current game state (will be mutated)
+ * @param {string} playerId - ID of player taking an action
+ */
+function closeUnoCallWindowOnTurnStart(state, playerId) {
+    const window = state.unoCallWindow;
+    if (window && window.expiresAt === null && window.playerId !== playerId) {
+        state.unoCallWindow = null;
+    }
+}
+
+/**
+ * Close a timed catch window whose time is up
+ * @param {object} state - Current game state (will be mutated)
+ * @returns {boolean} True if a window was closed
+ */
+function expireUnoCallWindow(state) {
+    const window = state.unoCallWindow;
+    if (window && window.expiresAt !== null && now(state) >= window.expiresAt) {
+        state.unoCallWindow = null;
+        return true;
+    }
+    return false;
+}
+
 /**
  * Player calls UNO
+ * Normally called before playing the second-to-last card; with the
+ * call-after-play rule it may also be called on one card until caught.
  * @param {object} state - Current game state
  * @param {string} playerId - ID of player calling UNO
  * @returns {{ success: boolean, state: object, error: string|null }}
@@ -386,48 +902,51 @@ function callUno(state, playerId) {
     }
 
     const player = state.players[playerIndex];
+    expireUnoCallWindow(state);
 
-    // Can only call UNO when you have 2 cards (about to play to 1)
-    if (player.hand.length !== 2) {
-        return { success: false, state, error: 'You can only call UNO when you have 2 cards' };
-    }
+    const window = state.unoCallWindow;
+    const callingLate = state.settings.unoCallAfterPlay &&
+        player.hand.length === 1 &&
+        window && window.playerId === player.id;
 
-    // Must be your turn
-    if (playerIndex !== state.currentPlayerIndex) {
-        return { success: false, state, error: 'You can only call UNO on your turn' };
+    if (callingLate) {
+        // Called in time: nothing left to catch
+        state.unoCallWindow = null;
+    } else {
+        // Can only call UNO when you have 2 cards (about to play to 1)
+        if (player.hand.length !== 2) {
+            return { success: false, state, error: 'You can only call UNO when you have 2 cards' };
+        }
+
+        // Must be your turn, unless jump-in lets you play out of turn
+        if (playerIndex !== state.currentPlayerIndex && !state.settings.jumpIn) {
+            return { success: false, state, error: 'You can only call UNO on your turn' };
+        }
     }
 
     player.calledUno = true;
 
-    state.lastAction = {
+    logAction(state, {
         type: 'callUno',
         playerId: player.id,
         playerName: player.name,
         message: `${player.name} called UNO!`
-    };
+    });
 
     return { success: true, state, error: null };
 }
 
 /**
  * Catch a player who didn't call UNO
+ * With the false-catch rule on, catching a player who cannot be caught
+ * costs the catcher the penalty instead. Catches only count while a round
+ * is being played.
  * @param {object} state - Current game state
  * @param {string} catcherId - ID of player catching
  * @param {string} targetId - ID of player being caught
  * @returns {{ success: boolean, state: object, error: string|null }}
  */
 function catchUno(state, catcherId, targetId) {
-    // Check if there's an active catch window
-    if (!state.unoCallWindow || state.unoCallWindow.playerId !== targetId) {
-        return { success: false, state, error: 'Cannot catch this player' };
-    }
-
-    // Check if window has expired
-    if (Date.now() > state.unoCallWindow.expiresAt) {
-        state.unoCallWindow = null;
-        return { success: false, state, error: 'Catch window has expired' };
-    }
-
     const targetPlayer = state.players.find(p => p.id === targetId);
     const catcherPlayer = state.players.find(p => p.id === catcherId);
 
@@ -435,22 +954,57 @@ function catchUno(state, catcherId, targetId) {
         return { success: false, state, error: 'Player not found' };
     }
 
-    // Draw 4 penalty cards
-    const result = drawCards(state.drawPile, state.discardPile, 4);
-    state.drawPile = result.drawPile;
-    state.discardPile = result.discardPile;
-    targetPlayer.hand.push(...result.drawnCards);
+    if (state.phase !== 'playing' && state.phase !== 'awaitingChallenge') {
+        return { success: false, state, error: 'Game is not in playing phase' };
+    }
+
+    if (catcherPlayer === targetPlayer) {
+        return { success: false, state, error: 'You cannot catch yourself' };
+    }
+
+    if (catcherPlayer.eliminated) {
+        return { success: false, state, error: 'Knocked-out players cannot catch' };
+    }
+
+    const expired = expireUnoCallWindow(state);
+    const penalty = state.settings.unoPenaltyCards;
+
+    // Check if there's an active catch window on this player
+    if (!state.unoCallWindow || state.unoCallWindow.playerId !== targetId) {
+        if (!state.settings.falseCatchPenalty) {
+            return { success: false, state, error: expired ? 'Catch window has expired' : 'Cannot catch this player' };
+        }
+
+        const penaltyCards = drawFromPiles(state, penalty, catcherPlayer);
+        catcherPlayer.hand.push(...penaltyCards);
+        catcherPlayer.calledUno = false;
+
+        logAction(state, {
+            type: 'falseCatch',
+            catcherId: catcherPlayer.id,
+            catcherName: catcherPlayer.name,
+            targetId: targetPlayer.id,
+            targetName: targetPlayer.name,
+            message: `${catcherPlayer.name} wrongly tried to catch ${targetPlayer.name}! +${penaltyCards.length} penalty cards`
+        }, cardsSecret(state, catcherPlayer, penaltyCards));
+
+        return { success: true, state, error: null };
+    }
+
+    // Draw the penalty cards
+    const penaltyCards = drawFromPiles(state, penalty, targetPlayer);
+    targetPlayer.hand.push(...penaltyCards);
 
     state.unoCallWindow = null;
 
-    state.lastAction = {
+    logAction(state, {
         type: 'caughtUno',
         catcherId: catcherPlayer.id,
         catcherName: catcherPlayer.name,
         targetId: targetPlayer.id,
         targetName: targetPlayer.name,
-        message: `${catcherPlayer.name} caught ${targetPlayer.name}! +4 penalty cards`
-    };
+        message: `${catcherPlayer.name} caught ${targetPlayer.name}! +${penaltyCards.length} penalty cards`
+    }, cardsSecret(state, targetPlayer, penaltyCards));
 
     return { success: true, state, error: null };
 }
@@ -464,38 +1018,215 @@ function catchUno(state, catcherId, targetId) {
 function endRound(state, winnerIndex) {
     state.phase = 'roundEnd';
     state.unoCallWindow = null;
+    state.turnDeadline = null;
 
     const winner = state.players[winnerIndex];
 
     // Calculate scores
-    const { roundScores, newTotalScores } = calculateRoundScores(state.players, winnerIndex);
+    const { scoringMode, targetScore } = state.settings;
+    const { roundScores, newTotalScores } = calculateRoundScores(state.players, winnerIndex, scoringMode);
 
     // Update player scores
     for (let i = 0; i < state.players.length; i++) {
         state.players[i].score = newTotalScores[i];
     }
 
+    // Elimination: the game ends when one player is left, not on score
+    if (state.settings.elimination) {
+        return knockOutPlayer(state, winnerIndex, roundScores);
+    }
+
     // Check for game over
-    const { gameOver, winnerIndex: gameWinnerIndex } = checkGameOver(state.players, state.settings.targetScore);
+    const { gameOver, winnerIndex: gameWinnerIndex, winningTeam } = checkGameOver(state.players, targetScore, scoringMode);
 
-    if (gameOver) {
+    if (gameOver && winningTeam != null) {
+        state.phase = 'gameOver';
+        const team = getTeamScores(state.players).find(t => t.team === winningTeam);
+        const teamName = `Team ${winningTeam} (${team.playerIndices.map(i => state.players[i].name).join(' & ')})`;
+        logAction(state, {
+            type: 'gameOver',
+            winnerId: state.players[gameWinnerIndex].id,
+            winnerName: teamName,
+            winningTeam,
+            roundScores,
+            message: `Game Over! ${teamName} wins with ${scoringMode === 'penalty' ? 'the lowest total, ' : ''}${team.score} points!`
+        });
+    } else if (gameOver) {
         state.phase = 'gameOver';
         const gameWinner = state.players[gameWinnerIndex];
-        state.lastAction = {
+        logAction(state, {
             type: 'gameOver',
             winnerId: gameWinner.id,
             winnerName: gameWinner.name,
             roundScores,
-            message: `Game Over! ${gameWinner.name} wins with ${gameWinner.score} points!`
-        };
+            message: `Game Over! ${gameWinner.name} wins with ${scoringMode === 'penalty' ? 'the lowest total, ' : ''}${gameWinner.score} points!`
+        });
     } else {
-        state.lastAction = {
+        logAction(state, {
             type: 'roundEnd',
             winnerId: winner.id,
             winnerName: winner.name,
+            team: winner.team,
             roundScores,
-            message: `${winner.name} wins the round! +${roundScores[winnerIndex]} points`
-        };
+            message: scoringMode === 'penalty'
+                ? `${winner.name} wins the round${winner.team != null ? ` for Team ${winner.team}` : ''}! Everyone else takes penalty points`
+                : `${winner.name} wins the round${winner.team != null ? ` for Team ${winner.team}` : ''}! +${roundScores[winnerIndex]} points`
+        });
+    }
+
+    return { success: true, state, error: null };
+}
+
+/**
+ * Act for a player whose turn timer ran out
+ * Accepts a pending Wild Draw Four, picks a color or swap target if one is
+ * pending, and otherwise draws (the stack, if any) and passes.
+ * If the action leaves a choice pending (a color that asks for a swap
+ * target), the deadline stays expired and the next timeout settles it.
+ * @param {object} state - Current game state
+ * @returns {{ success: boolean, state: object, error: string|null }}
+ */
+function handleTurnTimeout(state) {
+    if (state.phase !== 'playing' && state.phase !== 'awaitingChallenge') {
+        return { success: false, state, error: 'No turn in progress' };
+    }
+
+    if (!state.turnDeadline || now(state) < state.turnDeadline) {
+        return { success: false, state, error: 'Turn has not timed out' };
+    }
+
+    const player = state.players[state.currentPlayerIndex];
+    const messages = [];
+    const result = playTurnFor(state, player, messages);
+
+    if (!result.success) {
+        return { success: false, state, error: result.error };
+    }
+
+    // A round-ending play already reported itself
+    if (state.phase === 'roundEnd' || state.phase === 'gameOver') {
+        return { success: true, state, error: null };
+    }
+
+    if (!messages.includes(state.lastAction.message)) {
+        messages.push(state.lastAction.message);
+    }
+
+    logAction(state, {
+        type: 'timeout',
+        playerId: player.id,
+        playerName: player.name,
+        message: `${player.name} ran out of time - ${messages.join('; ')}`
+    });
+
+    return { success: true, state, error: null };
+}
+
+/**
+ * Make the default move for the current player
+ * @param {object} state - Current game state
+ * @param {object} player - The current player
+ * @param {string[]} messages - Collects messages of intermediate steps
+ * @returns {{ success: boolean, state: object, error: string|null }}
+ */
+function playTurnFor(state, player, messages) {
+    let result;
+
+    if (state.phase === 'awaitingChallenge') {
+        // Let the Wild Draw Four stand; the stack is drawn below
+        respondToChallenge(state, player.id, false);
+    }
+
+    if (state.awaitingColorChoice) {
+        result = chooseColor(state, player.id, pickAutoColor(state, player));
+    } else if (state.awaitingSwapTarget) {
+        // Swap with whoever holds the fewest cards
+        const target = state.players
+            .filter(p => p !== player && !p.eliminated)
+            .reduce((best, p) => (p.hand.length < best.hand.length ? p : best));
+        result = chooseSwapTarget(state, player.id, target.id);
+    } else {
+        if (!state.pendingDrawnCardId) {
+            result = playerDrawCards(state, player.id);
+            if (result.success) {
+                messages.push(state.lastAction.message);
+            }
+        }
+
+        // Keep the drawn card, or play it when keeping is not allowed
+        if (state.pendingDrawnCardId) {
+            result = state.settings.mustPlayDrawn
+                ? playCard(state, player.id, state.pendingDrawnCardId, pickAutoColor(state, player))
+                : skipPlayDrawnCard(state, player.id);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Pick a color for a player who ran out of time: their most common color
+ * @param {object} state - Current game state
+ * @param {object} player - Player to pick for
+ * @returns {string} Color
+ */
+function pickAutoColor(state, player) {
+    const colors = getActiveColors(state);
+    const counts = colors.map(color => player.hand.filter(c => c.color === color).length);
+    return colors[counts.indexOf(Math.max(...counts))];
+}
+
+/**
+ * Elimination: knock out the player left holding the highest hand value
+ * Ties go to the player holding more cards, then to seat order.
+ * The last player standing wins the game.
+ * @param {object} state - Current game state
+ * @param {number} winnerIndex - Index of round winner
+ * @param {number[]} roundScores - Points scored this round
+ * @returns {{ success: boolean, state: object, error: string|null }}
+ */
+function knockOutPlayer(state, winnerIndex, roundScores) {
+    const winner = state.players[winnerIndex];
+
+    let loser = null;
+    let loserValue = -1;
+    state.players.forEach((player, index) => {
+        if (index === winnerIndex || player.eliminated) return;
+
+        const value = calculateHandValue(player.hand);
+        if (value > loserValue || (value === loserValue && player.hand.length > loser.hand.length)) {
+            loser = player;
+            loserValue = value;
+        }
+    });
+
+    loser.eliminated = true;
+    loser.hand = [];
+    loser.calledUno = false;
+
+    const remaining = state.players.filter(p => !p.eliminated);
+
+    if (remaining.length === 1) {
+        state.phase = 'gameOver';
+        logAction(state, {
+            type: 'gameOver',
+            winnerId: remaining[0].id,
+            winnerName: remaining[0].name,
+            eliminatedId: loser.id,
+            eliminatedName: loser.name,
+            roundScores,
+            message: `Game Over! ${loser.name} is knocked out - ${remaining[0].name} is the last player standing!`
+        });
+    } else {
+        logAction(state, {
+            type: 'roundEnd',
+            winnerId: winner.id,
+            winnerName: winner.name,
+            eliminatedId: loser.id,
+            eliminatedName: loser.name,
+            roundScores,
+            message: `${winner.name} wins the round! ${loser.name} is knocked out with ${loserValue} points`
+        });
     }
 
     return { success: true, state, error: null };
@@ -529,8 +1260,111 @@ function handleDisconnect(state, playerId) {
     return state;
 }
 
+/**
+ * Take a kicked player's seat out of play
+ * If it is their turn, the default move is made for them first. Their cards
+ * go back under the draw pile and, like a knocked-out player, they are
+ * skipped from then on. If only one player is left, that player wins.
+ * @param {object} state - Current game state
+ * @param {string} playerId - ID of kicked player
+ * @returns {{ success: boolean, state: object, error: string|null }}
+ */
+function removeFromGame(state, playerId) {
+    const player = state.players.find(p => p.id === playerId);
+
+    if (!player) {
+        return { success: false, state, error: 'Player not found' };
+    }
+
+    if (player.removed) {
+        return { success: false, state, error: 'Player was already removed' };
+    }
+
+    const phaseBefore = state.phase;
+
+    // Finish their turn, including any choice the default move leaves pending
+    for (let i = 0; i < 3; i++) {
+        const theirTurn = state.players[state.currentPlayerIndex] === player &&
+            (state.phase === 'playing' || state.phase === 'awaitingChallenge');
+        if (!theirTurn || !playTurnFor(state, player, []).success) break;
+    }
+
+    player.connected = false;
+    player.removed = true;
+    player.eliminated = true;
+    player.calledUno = false;
+    player.autoPlay = false;
+
+    state.drawPile.unshift(...player.hand);
+    logPile(state, { op: 'return', cardIds: player.hand.map(c => c.id) });
+    player.hand = [];
+
+    if (state.unoCallWindow && state.unoCallWindow.playerId === player.id) {
+        state.unoCallWindow = null;
+    }
+
+    const remaining = state.players.filter(p => !p.eliminated);
+
+    if (remaining.length === 1 && state.phase !== 'gameOver') {
+        state.phase = 'gameOver';
+        state.turnDeadline = null;
+        logAction(state, {
+            type: 'gameOver',
+            winnerId: remaining[0].id,
+            winnerName: remaining[0].name,
+            message: `Game Over! ${player.name} was removed - ${remaining[0].name} is the last player left!`
+        });
+        return { success: true, state, error: null };
+    }
+
+    // Their last move ended the round, which already reported itself
+    if (state.phase === 'roundEnd' && phaseBefore !== 'roundEnd') {
+        return { success: true, state, error: null };
+    }
+
+    logAction(state, {
+        type: 'removed',
+        playerId: player.id,
+        playerName: player.name,
+        message: `${player.name} was removed from the game`
+    });
+
+    return { success: true, state, error: null };
+}
+
+/**
+ * Hand a disconnected player's seat to a server bot
+ * The bot plays until the player reconnects.
+ * @param {object} state - Current game state
+ * @param {string} playerId - ID of disconnected player
+ * @returns {{ success: boolean, state: object, error: string|null }}
+ */
+function startAutoPlay(state, playerId) {
+    const player = state.players.find(p => p.id === playerId);
+
+    if (!player) {
+        return { success: false, state, error: 'Player not found' };
+    }
+
+    if (player.connected || player.autoPlay || player.eliminated) {
+        return { success: false, state, error: 'Player does not need a stand-in' };
+    }
+
+    player.autoPlay = true;
+
+    logAction(state, {
+        type: 'autoPlay',
+        playerId: player.id,
+        playerName: player.name,
+        message: `${player.name} is away - auto-playing until they return`
+    });
+
+    return { success: true, state, error: null };
+}
+
 /**
  * Handle player reconnect
+ * Takes the seat back from the bot if it was auto-playing.
  * @param {object} state - Current game state
  * @param {string} oldPlayerId - Original player ID
  * @param {string} newPlayerId - New socket ID
@@ -541,13 +1375,15 @@ function handleReconnect(state, oldPlayerId, newPlayerId) {
     if (player) {
         player.id = newPlayerId;
         player.connected = true;
+        player.autoPlay = false;
     }
     return state;
 }
 
 /**
  * Get state safe for sending to a specific player
- * Hides other players' hands
+ * Hides other players' hands. In UNO Flip, the back faces of opponents'
+ * cards and of the top draw pile card are visible, as at a real table.
  * @param {object} state - Full game state
  * @param {string} playerId - ID of player receiving state
  * @returns {object} Sanitized state
@@ -559,23 +1395,54 @@ function getStateForPlayer(state, playerId) {
         currentPlayerIndex: state.currentPlayerIndex,
         direction: state.direction,
         currentColor: state.currentColor,
+        side: state.side,
+        drawUntilColor: state.drawUntilColor,
         stackedDrawCount: state.stackedDrawCount,
         stackType: state.stackType,
+        stackCounts: state.stackCounts,
         awaitingColorChoice: state.awaitingColorChoice,
+        awaitingSwapTarget: state.awaitingSwapTarget,
+        pendingDrawnCardId: state.players[state.currentPlayerIndex]?.id === playerId
+            ? state.pendingDrawnCardId
+            : null,
+        drawFourChallenge: state.drawFourChallenge
+            ? { playerId: state.drawFourChallenge.playerId }
+            : null,
         unoCallWindow: state.unoCallWindow,
+        turnTimeRemaining: state.turnDeadline ? Math.max(0, state.turnDeadline - now(state)) : null,
         hostId: state.hostId,
+        settings: state.settings,
         roundNumber: state.roundNumber,
         lastAction: state.lastAction,
-        drawPile: { count: state.drawPile.length }, // Only send count
+        lastEventSeq: state.events.length, // Clients fetch newer events with getHistory
+        replayId: state.replayId,
+        commitment: state.commitment, // Hash of this round's seed and deck
+        reveal: getReveal(state), // The seed and pile log, once the round is over
+        drawPile: {
+            count: state.drawPile.length, // Only send count
+            topBack: state.drawPile.length > 0
+                ? state.drawPile[state.drawPile.length - 1].getBackFace()
+                : null
+        },
         players: state.players.map(p => ({
             id: p.id,
             name: p.name,
+            team: p.team,
             cardCount: p.hand.length,
             score: p.score,
             connected: p.connected,
             calledUno: p.calledUno,
+            eliminated: p.eliminated,
+            isBot: p.isBot,
+            difficulty: p.difficulty,
+            autoPlaying: p.autoPlay,
+            removed: p.removed,
             // Only include full hand for requesting player
             hand: p.id === playerId ? p.hand.map(c => c.toJSON()) : undefined,
+            // UNO Flip: everyone else sees the other side of this player's cards
+            backs: p.id !== playerId && state.settings.gameMode === 'flip'
+                ? p.hand.map(c => c.getBackFace())
+                : undefined,
             isCurrentPlayer: state.players.indexOf(p) === state.currentPlayerIndex
         })),
         topCard: state.discardPile.length > 0
@@ -584,6 +1451,53 @@ function getStateForPlayer(state, playerId) {
     };
 }
 
+/**
+ * Get state safe for sending to a spectator
+ * Spectators see every player's card count, but no cards at all.
+ * @param {object} state - Full game state
+ * @returns {object} Sanitized state
+ */
+function getStateForSpectator(state) {
+    const view = getStateForPlayer(state, null);
+
+    return {
+        ...view,
+        spectating: true,
+        players: view.players.map(p => ({ ...p, backs: undefined }))
+    };
+}
+
+/**
+ * Convert a game state to plain data that can be saved as JSON
+ * Cards keep their back face, unlike the client view.
+ * @param {object} state - Full game state
+ * @returns {object} Serializable copy
+ */
+function serializeGameState(state) {
+    const saveCard = card => ({ ...card.toJSON(), back: card.back });
+
+    return {
+        ...state,
+        players: state.players.map(p => ({ ...p, hand: p.hand.map(saveCard) })),
+        drawPile: state.drawPile.map(saveCard),
+        discardPile: state.discardPile.map(saveCard)
+    };
+}
+
+/**
+ * Rebuild a game state saved with serializeGameState
+ * @param {object} data - Saved game state
+ * @returns {object} Game state with Card instances
+ */
+function deserializeGameState(data) {
+    return {
+        ...data,
+        players: data.players.map(p => ({ ...p, hand: p.hand.map(Card.fromJSON) })),
+        drawPile: data.drawPile.map(Card.fromJSON),
+        discardPile: data.discardPile.map(Card.fromJSON)
+    };
+}
+
 /**
  * Format a card for display in messages
  * @param {Card} card - Card to format
@@ -592,10 +1506,10 @@ function getStateForPlayer(state, playerId) {
 function formatCard(card) {
     if (card.type === 'number') {
         return `${card.color} ${card.value}`;
-    } else if (card.type === 'wild') {
-        return 'Wild';
-    } else if (card.type === 'wildDrawFour') {
-        return 'Wild Draw Four';
+    } else if (card.isWild()) {
+        // wildDrawFour -> Wild Draw Four
+        const name = card.type.replace(/([A-Z])/g, ' $1');
+        return name.charAt(0).toUpperCase() + name.slice(1);
     } else {
         return `${card.color} ${card.type.replace(/([A-Z])/g, ' $1').trim()}`;
     }
@@ -605,14 +1519,24 @@ module.exports = {
     createGameState,
     startRound,
     playCard,
+    jumpIn,
     chooseColor,
+    chooseSwapTarget,
+    respondToChallenge,
     playerDrawCards,
     skipPlayDrawnCard,
     callUno,
     catchUno,
+    expireUnoCallWindow,
     endRound,
     startNextRound,
     handleDisconnect,
+    removeFromGame,
+    startAutoPlay,
     handleReconnect,
-    getStateForPlayer
+    handleTurnTimeout,
+    getStateForPlayer,
+    getStateForSpectator,
+    serializeGameState,
+    deserializeGameState
 };
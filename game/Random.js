@@ -0,0 +1,58 @@
+/**
+ * Random.js - Seeded random numbers for games
+ *
+ * Every random choice a game makes (shuffles, card IDs) comes from a
+ * generator whose whole state is a plain object kept in the game state: the
+ * seed and a counter. Each number is taken from SHA-256(seed:counter), so the
+ * same seed plus the same moves always produce the same game, a game restored
+ * from a snapshot carries on the same sequence, and players can't work the
+ * seed out from the cards they see.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create a fresh random seed
+ * @returns {string} 32 hex characters
+ */
+function createSeed() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Create a generator from a seed
+ * @param {string} seed - Any string
+ * @returns {{ seed: string, counter: number }} Generator state (JSON-safe)
+ */
+function createRng(seed) {
+    return { seed: String(seed), counter: 0 };
+}
+
+/**
+ * Get the next number from a generator
+ * @param {object} rng - Generator from createRng (will be mutated)
+ * @returns {number} Float in [0, 1), like Math.random
+ */
+function nextRandom(rng) {
+    const digest = crypto.createHash('sha256').update(`${rng.seed}:${rng.counter}`).digest();
+    rng.counter++;
+
+    // 48 bits is plenty and stays an exact integer
+    return digest.readUIntBE(0, 6) / 2 ** 48;
+}
+
+/**
+ * Wrap a generator as a Math.random-style function
+ * @param {object} rng - Generator from createRng
+ * @returns {function(): number}
+ */
+function randomFrom(rng) {
+    return () => nextRandom(rng);
+}
+
+module.exports = {
+    createSeed,
+    createRng,
+    nextRandom,
+    randomFrom
+};
@@ -0,0 +1,237 @@
+/**
+ * Replay.js - Recording and replaying games
+ *
+ * A game is fully determined by its seed, its settings, its seating and the
+ * moves made in it. The server applies every move through applyMove, which
+ * records it in state.moves; replayGame rebuilds the game from that record by
+ * running the same GameState functions again, with the game's clock
+ * (state.clock, see Clock.js) set to the time each move was made. Players are
+ * recorded by seat index rather than socket ID, so a replay doesn't depend on
+ * who reconnected when.
+ */
+
+const {
+    createGameState,
+    startRound,
+    playCard,
+    jumpIn,
+    chooseColor,
+    chooseSwapTarget,
+    respondToChallenge,
+    playerDrawCards,
+    skipPlayDrawnCard,
+    callUno,
+    catchUno,
+    expireUnoCallWindow,
+    startNextRound,
+    removeFromGame,
+    handleTurnTimeout
+} = require('./GameState');
+const { now } = require('./Clock');
+
+/**
+ * Moves that can be recorded
+ * run: the GameState function, called as run(state, ...args)
+ * seats: positions in args holding player IDs, recorded as seat indices
+ * prepare: extra setup when replaying
+ */
+const MOVES = {
+    startRound: { run: startRound, seats: [] },
+    playCard: { run: playCard, seats: [0] },
+    jumpIn: { run: jumpIn, seats: [0] },
+    chooseColor: { run: chooseColor, seats: [0] },
+    chooseSwapTarget: { run: chooseSwapTarget, seats: [0, 1] },
+    respondToChallenge: { run: respondToChallenge, seats: [0] },
+    playerDrawCards: { run: playerDrawCards, seats: [0] },
+    skipPlayDrawnCard: { run: skipPlayDrawnCard, seats: [0] },
+    callUno: { run: callUno, seats: [0] },
+    catchUno: { run: catchUno, seats: [0, 1] },
+    expireUnoCallWindow: { run: expireUnoCallWindow, seats: [] },
+    startNextRound: { run: startNextRound, seats: [] },
+    removeFromGame: { run: removeFromGame, seats: [0] },
+    handleTurnTimeout: {
+        run: handleTurnTimeout,
+        seats: [],
+        // The server times out a stuck bot before its deadline
+        prepare: state => { state.turnDeadline = now(state); }
+    }
+};
+
+/**
+ * Apply a move to a game and record it if it did anything
+ * @param {object} state - Current game state (will be mutated)
+ * @param {string} type - Key of MOVES
+ * @param {...*} args - Arguments after state, as the GameState function takes them
+ * @returns {*} Whatever the GameState function returns
+ */
+function applyMove(state, type, ...args) {
+    const move = MOVES[type];
+    const recordedArgs = args.map((arg, i) =>
+        move.seats.includes(i) ? state.players.findIndex(p => p.id === arg) : arg
+    );
+    const timestamp = now(state);
+
+    const result = move.run(state, ...args);
+
+    if (result !== false && result.success !== false) {
+        state.moves.push({ type, args: recordedArgs, timestamp });
+    }
+
+    return result;
+}
+
+/**
+ * Build the replay record of a game
+ * @param {object} state - Full game state
+ * @param {string} id - Replay ID
+ * @returns {object} Replay (JSON-safe)
+ */
+function createReplay(state, id) {
+    return {
+        id,
+        roomCode: state.roomCode,
+        finishedAt: Date.now(),
+        seed: state.seed,
+        settings: state.settings,
+        // Already in seating order
+        players: state.players.map(p => ({
+            name: p.name,
+            team: p.team,
+            isBot: p.isBot,
+            difficulty: p.difficulty
+        })),
+        winnerName: state.lastAction ? state.lastAction.winnerName || null : null,
+        moves: state.moves.slice()
+    };
+}
+
+/**
+ * Set up a replay's game as it was before the first move
+ * Players get the IDs 'seat-0', 'seat-1', ...
+ * @param {object} replay - Replay from createReplay
+ * @returns {object} Game state
+ */
+function createReplayState(replay) {
+    const players = replay.players.map((p, index) => ({ ...p, id: `seat-${index}` }));
+    return createGameState(replay.roomCode, players, replay.settings, replay.seed);
+}
+
+/**
+ * Apply one recorded move again, on the game's clock at the time it was made
+ * @param {object} state - Replayed game state (will be mutated)
+ * @param {object} move - Recorded move { type, args, timestamp }
+ */
+function replayMove(state, { type, args, timestamp }) {
+    const move = MOVES[type];
+    state.clock = timestamp;
+
+    if (move.prepare) {
+        move.prepare(state);
+    }
+    move.run(state, ...args.map((arg, i) =>
+        move.seats.includes(i) ? state.players[arg].id : arg
+    ));
+}
+
+/**
+ * Rebuild a game from its replay, up to some move
+ * Players get the IDs 'seat-0', 'seat-1', ...
+ * @param {object} replay - Replay from createReplay
+ * @param {number} moveCount - Number of moves to apply (default: all)
+ * @param {function(object, number)|null} onStep - Called with the state after each move, and before the first
+ * @returns {object} Game state after those moves
+ */
+function replayGame(replay, moveCount = replay.moves.length, onStep = null) {
+    const state = createReplayState(replay);
+
+    if (onStep) {
+        onStep(state, 0);
+    }
+
+    replay.moves.slice(0, moveCount).forEach((move, index) => {
+        replayMove(state, move);
+
+        if (onStep) {
+            onStep(state, index + 1);
+        }
+    });
+
+    // Back on the real clock, like a live game
+    state.clock = null;
+    return state;
+}
+
+/**
+ * Start rebuilding the steps of a replay as the viewer shows them
+ * Frames are built a batch of moves at a time (see advanceReplayCursor), so a
+ * long game never has to be rebuilt in one go.
+ * @param {object} replay - Replay from createReplay
+ * @returns {{ replay: object, state: object, frames: object[] }} Cursor; frame i is the game after i moves
+ */
+function createReplayCursor(replay) {
+    const state = createReplayState(replay);
+    return { replay, state, frames: [createFrame(replay, state, 0)] };
+}
+
+/**
+ * Rebuild the next frames of a replay
+ * @param {object} cursor - Cursor from createReplayCursor (will be mutated)
+ * @param {number} moveCount - Most moves to apply
+ * @returns {boolean} True once every frame is built
+ */
+function advanceReplayCursor(cursor, moveCount) {
+    const { replay, state, frames } = cursor;
+    const end = Math.min(replay.moves.length, frames.length - 1 + moveCount);
+
+    while (frames.length - 1 < end) {
+        replayMove(state, replay.moves[frames.length - 1]);
+        frames.push(createFrame(replay, state, frames.length));
+    }
+
+    return frames.length > replay.moves.length;
+}
+
+/**
+ * Describe a replayed game with everything face up
+ * @param {object} replay - Replay being shown
+ * @param {object} state - Game state after some moves
+ * @param {number} index - Number of moves applied (0 is before the first deal)
+ * @returns {object} Frame
+ */
+function createFrame(replay, state, index) {
+    const topCard = state.discardPile[state.discardPile.length - 1];
+
+    return {
+        index,
+        total: replay.moves.length,
+        timestamp: index > 0 ? replay.moves[index - 1].timestamp : null,
+        phase: state.phase,
+        roundNumber: state.roundNumber,
+        side: state.side,
+        direction: state.direction,
+        currentColor: state.currentColor,
+        currentPlayerIndex: state.currentPlayerIndex,
+        stackedDrawCount: state.stackedDrawCount,
+        topCard: topCard ? topCard.toJSON() : null,
+        drawPileCount: state.drawPile.length,
+        lastAction: index > 0 ? state.lastAction : null,
+        players: state.players.map(p => ({
+            name: p.name,
+            team: p.team,
+            isBot: p.isBot,
+            score: p.score,
+            eliminated: p.eliminated,
+            calledUno: p.calledUno,
+            hand: p.hand.map(c => c.toJSON())
+        }))
+    };
+}
+
+module.exports = {
+    MOVES,
+    applyMove,
+    createReplay,
+    replayGame,
+    createReplayCursor,
+    advanceReplayCursor
+};
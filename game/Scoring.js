@@ -5,9 +5,24 @@
  * - Number cards (0-9): Face value
  * - Skip, Reverse, Draw Two: 20 points each
  * - Wild, Wild Draw Four: 50 points each
+ * - Wild Shuffle Hands, Wild Customizable: 40 points each
+ *
+ * UNO Flip (scored by the face in play):
+ * - Draw One: 10 points
+ * - Flip, Draw Five: 20 points each
+ * - Skip Everyone: 30 points
+ * - Wild: 40 points; Wild Draw Two: 50 points
+ * - Wild Draw Color: 60 points
  * 
  * Round winner scores the sum of all opponents' hands.
  * First player to reach target score (default 500) wins the game.
+ *
+ * Team mode (2v2): a partner's hand is not counted, and the game is won
+ * by the first team whose combined score reaches the target.
+ *
+ * Penalty scoring: every other player adds their own hand value to their
+ * total instead (in team mode, the winner's partner doesn't). When anyone
+ * reaches the limit, the lowest total wins.
  */
 
 /**
@@ -19,24 +34,76 @@ function calculateHandValue(hand) {
     return hand.reduce((total, card) => total + card.getPoints(), 0);
 }
 
+/**
+ * Check if two players are on the same team
+ * @param {object} a - Player
+ * @param {object} b - Player
+ * @returns {boolean}
+ */
+function isTeammate(a, b) {
+    return a.team != null && a.team === b.team;
+}
+
+/**
+ * Get the combined score of each team
+ * @param {object[]} players - Array of player objects with team and score properties
+ * @returns {object[]} [{ team, score, playerIndices }] ordered by team number, empty without teams
+ */
+function getTeamScores(players) {
+    const teams = new Map();
+
+    players.forEach((player, index) => {
+        if (player.team == null) return;
+
+        if (!teams.has(player.team)) {
+            teams.set(player.team, { team: player.team, score: 0, playerIndices: [] });
+        }
+        const entry = teams.get(player.team);
+        entry.score += player.score;
+        entry.playerIndices.push(index);
+    });
+
+    return [...teams.values()].sort((a, b) => a.team - b.team);
+}
+
+/**
+ * Get a comparator that orders scores best first
+ * @param {string} scoringMode - 'standard' (highest wins) or 'penalty' (lowest wins)
+ * @returns {function(number, number): number}
+ */
+function compareScores(scoringMode) {
+    return scoringMode === 'penalty' ? (a, b) => a - b : (a, b) => b - a;
+}
+
 /**
  * Calculate round scores after a player wins
+ * - standard: the winner scores every opponent's hand (a partner's hand is not an opponent's)
+ * - penalty: every other player adds their own hand value to their total (not the winner's partner)
  * @param {object[]} players - Array of player objects with hand arrays
  * @param {number} winnerIndex - Index of the winning player
+ * @param {string} scoringMode - 'standard' or 'penalty' (default: 'standard')
  * @returns {{ roundScores: number[], newTotalScores: number[] }}
  */
-function calculateRoundScores(players, winnerIndex) {
+function calculateRoundScores(players, winnerIndex, scoringMode = 'standard') {
     const roundScores = players.map(() => 0);
 
-    // Sum all opponents' hands for the winner
-    let winnerRoundScore = 0;
-    for (let i = 0; i < players.length; i++) {
-        if (i !== winnerIndex) {
-            winnerRoundScore += calculateHandValue(players[i].hand);
+    if (scoringMode === 'penalty') {
+        for (let i = 0; i < players.length; i++) {
+            if (i !== winnerIndex && !isTeammate(players[i], players[winnerIndex])) {
+                roundScores[i] = calculateHandValue(players[i].hand);
+            }
+        }
+    } else {
+        // Sum all opponents' hands for the winner
+        let winnerRoundScore = 0;
+        for (let i = 0; i < players.length; i++) {
+            if (i !== winnerIndex && !isTeammate(players[i], players[winnerIndex])) {
+                winnerRoundScore += calculateHandValue(players[i].hand);
+            }
         }
-    }
 
-    roundScores[winnerIndex] = winnerRoundScore;
+        roundScores[winnerIndex] = winnerRoundScore;
+    }
 
     // Calculate new total scores
     const newTotalScores = players.map((player, index) => {
@@ -47,32 +114,72 @@ function calculateRoundScores(players, winnerIndex) {
 }
 
 /**
- * Check if any player has won the overall game
+ * Check if the overall game is over
+ * - standard: the first player (or team) to reach the target wins
+ * - penalty: once anyone reaches the limit, the lowest total wins
  * @param {object[]} players - Array of player objects with score property
- * @param {number} targetScore - Score needed to win (default: 500)
- * @returns {{ gameOver: boolean, winnerIndex: number|null }}
+ * @param {number} targetScore - Score needed to win, or the penalty limit (default: 500)
+ * @param {string} scoringMode - 'standard' or 'penalty' (default: 'standard')
+ * @returns {{ gameOver: boolean, winnerIndex: number|null, winningTeam: number|null }}
  */
-function checkGameOver(players, targetScore = 500) {
-    for (let i = 0; i < players.length; i++) {
-        if (players[i].score >= targetScore) {
-            return { gameOver: true, winnerIndex: i };
+function checkGameOver(players, targetScore = 500, scoringMode = 'standard') {
+    const compare = compareScores(scoringMode);
+    const teamScores = getTeamScores(players);
+
+    if (teamScores.length > 0) {
+        if (!teamScores.some(t => t.score >= targetScore)) {
+            return { gameOver: false, winnerIndex: null, winningTeam: null };
         }
+
+        const winningTeam = [...teamScores].sort((a, b) => compare(a.score, b.score))[0];
+
+        // Report the team member with the best score
+        const winnerIndex = winningTeam.playerIndices
+            .reduce((best, i) => (compare(players[i].score, players[best].score) < 0 ? i : best));
+        return { gameOver: true, winnerIndex, winningTeam: winningTeam.team };
     }
-    return { gameOver: false, winnerIndex: null };
+
+    if (!players.some(p => p.score >= targetScore)) {
+        return { gameOver: false, winnerIndex: null, winningTeam: null };
+    }
+
+    const winnerIndex = players
+        .reduce((best, player, i) => (compare(player.score, players[best].score) < 0 ? i : best), 0);
+    return { gameOver: true, winnerIndex, winningTeam: null };
 }
 
 /**
- * Get final rankings sorted by score (descending)
+ * Get final rankings, best score first
+ * In team mode players are ranked by team score and partners share a rank.
  * @param {object[]} players - Array of player objects
- * @returns {object[]} Players sorted by score with rank property added
+ * @param {string} scoringMode - 'standard' (highest first) or 'penalty' (lowest first)
+ * @returns {object[]} Players sorted by score with rank (and teamScore) properties added
  */
-function getFinalRankings(players) {
+function getFinalRankings(players, scoringMode = 'standard') {
+    const compare = compareScores(scoringMode);
+    const teamScores = getTeamScores(players);
+
+    if (teamScores.length > 0) {
+        const teamRanks = [...teamScores].sort((a, b) => compare(a.score, b.score));
+
+        return teamRanks.flatMap((team, teamIndex) =>
+            team.playerIndices
+                .map(index => ({
+                    ...players[index],
+                    originalIndex: index,
+                    teamScore: team.score,
+                    rank: teamIndex + 1
+                }))
+                .sort((a, b) => compare(a.score, b.score))
+        );
+    }
+
     const ranked = players.map((player, index) => ({
         ...player,
         originalIndex: index
     }));
 
-    ranked.sort((a, b) => b.score - a.score);
+    ranked.sort((a, b) => compare(a.score, b.score));
 
     return ranked.map((player, index) => ({
         ...player,
@@ -83,6 +190,7 @@ function getFinalRankings(players) {
 module.exports = {
     calculateHandValue,
     calculateRoundScores,
+    getTeamScores,
     checkGameOver,
     getFinalRankings
 };
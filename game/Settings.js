@@ -0,0 +1,107 @@
+/**
+ * Settings.js - House rule configuration
+ *
+ * Every lobby carries a settings object that the host edits before the game
+ * starts. It is copied into the game state and read by the rule, deck and
+ * scoring modules in place of hard-coded constants.
+ */
+
+/**
+ * Definitions for every configurable rule
+ * - number: integer between min and max
+ * - boolean: on/off toggle
+ * - select: one of a fixed list of options
+ */
+const SETTING_DEFINITIONS = {
+    gameMode: { type: 'select', default: 'classic', options: ['classic', 'flip'] },
+    teamMode: { type: 'boolean', default: false },
+    elimination: { type: 'boolean', default: false },
+    scoringMode: { type: 'select', default: 'standard', options: ['standard', 'penalty'] },
+    targetScore: { type: 'number', default: 500, min: 100, max: 5000 },
+    handSize: { type: 'number', default: 7, min: 3, max: 10 },
+    stacking: { type: 'boolean', default: true },
+    crossStacking: { type: 'boolean', default: false },
+    unoCatchMode: { type: 'select', default: 'timed', options: ['timed', 'nextTurn'] },
+    unoCatchWindowSeconds: { type: 'number', default: 3, min: 1, max: 15 },
+    unoCallAfterPlay: { type: 'boolean', default: false },
+    unoPenaltyCards: { type: 'select', default: 4, options: [2, 4] },
+    falseCatchPenalty: { type: 'boolean', default: false },
+    turnTimerSeconds: { type: 'number', default: 0, min: 0, max: 120 }, // 0 = no turn timer
+    wildDrawFourChallenge: { type: 'boolean', default: true },
+    sevenO: { type: 'boolean', default: false },
+    jumpIn: { type: 'boolean', default: false },
+    drawUntilPlayable: { type: 'boolean', default: false },
+    mustPlayDrawn: { type: 'boolean', default: false },
+    specialWilds: { type: 'boolean', default: false },
+    customWildEffect: {
+        type: 'select',
+        default: 'everyoneDrawsTwo',
+        options: ['everyoneDrawsTwo', 'swapWithAnyPlayer', 'discardColor']
+    }
+};
+
+/**
+ * Get a fresh copy of the default settings
+ * @returns {object} Default settings
+ */
+function getDefaultSettings() {
+    const settings = {};
+    for (const [key, definition] of Object.entries(SETTING_DEFINITIONS)) {
+        settings[key] = definition.default;
+    }
+    return settings;
+}
+
+/**
+ * Validate a (partial) settings update and merge it onto the current settings
+ * @param {object} changes - Settings to change
+ * @param {object} current - Current settings (default: defaults)
+ * @returns {{ success: boolean, settings: object|null, error: string|null }}
+ */
+function validateSettings(changes, current = getDefaultSettings()) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return { success: false, settings: null, error: 'Invalid settings' };
+    }
+
+    const settings = { ...current };
+
+    for (const [key, value] of Object.entries(changes)) {
+        const definition = SETTING_DEFINITIONS[key];
+
+        if (!definition) {
+            return { success: false, settings: null, error: `Unknown setting: ${key}` };
+        }
+
+        if (definition.type === 'boolean') {
+            if (typeof value !== 'boolean') {
+                return { success: false, settings: null, error: `${key} must be true or false` };
+            }
+        } else if (definition.type === 'select') {
+            if (!definition.options.includes(value)) {
+                return {
+                    success: false,
+                    settings: null,
+                    error: `${key} must be one of: ${definition.options.join(', ')}`
+                };
+            }
+        } else if (definition.type === 'number') {
+            if (!Number.isInteger(value) || value < definition.min || value > definition.max) {
+                return {
+                    success: false,
+                    settings: null,
+                    error: `${key} must be a whole number from ${definition.min} to ${definition.max}`
+                };
+            }
+        }
+
+        settings[key] = value;
+    }
+
+    return { success: true, settings, error: null };
+}
+
+module.exports = {
+    SETTING_DEFINITIONS,
+    getDefaultSettings,
+    validateSettings
+};
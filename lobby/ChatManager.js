@@ -0,0 +1,211 @@
+/**
+ * ChatManager.js - Room chat
+ *
+ * Handles:
+ * - Message validation and length limits
+ * - Per-socket rate limiting
+ * - Word filtering
+ * - A short history per room for players who join or reconnect
+ * - System messages for notable game events
+ * - Quick reactions (a fixed set of emotes) with a per-player cooldown
+ */
+
+const MAX_MESSAGE_LENGTH = 200;
+const HISTORY_SIZE = 50;
+
+// At most RATE_LIMIT_COUNT messages per socket in any RATE_LIMIT_WINDOW_MS
+const RATE_LIMIT_COUNT = 5;
+const RATE_LIMIT_WINDOW_MS = 10000;
+
+// Reaction IDs; the client maps them to emotes
+const REACTIONS = ['clap', 'laugh', 'shock', 'uno', 'niceStack'];
+const REACTION_COOLDOWN_MS = 3000;
+
+const DEFAULT_FILTER_WORDS = ['fuck', 'shit', 'bitch', 'cunt', 'asshole', 'dick'];
+
+/**
+ * ChatManager class - chat history and moderation for all rooms
+ */
+class ChatManager {
+    /**
+     * @param {string[]} filterWords - Words to mask in messages (default: a short built-in list)
+     */
+    constructor(filterWords = DEFAULT_FILTER_WORDS) {
+        // Map of roomCode -> recent messages, oldest first
+        this.histories = new Map();
+        // Map of socketId -> timestamps of recent messages
+        this.recentSends = new Map();
+        // Map of socketId -> time of last reaction
+        this.lastReactions = new Map();
+        this.nextMessageId = 1;
+        this.filter = this.buildFilter(filterWords);
+    }
+
+    /**
+     * Build a regex matching any filtered word, as a whole word
+     * @param {string[]} words - Words to filter
+     * @returns {RegExp|null}
+     */
+    buildFilter(words) {
+        const escaped = words
+            .map(w => w.trim())
+            .filter(w => w.length > 0)
+            .map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+        return escaped.length > 0 ? new RegExp(`\\b(${escaped.join('|')})\\b`, 'gi') : null;
+    }
+
+    /**
+     * Mask filtered words with asterisks
+     * @param {string} text - Message text
+     * @returns {string}
+     */
+    filterText(text) {
+        return this.filter ? text.replace(this.filter, word => '*'.repeat(word.length)) : text;
+    }
+
+    /**
+     * Check and record a send against the socket's rate limit
+     * @param {string} socketId - Sender's socket ID
+     * @returns {boolean} True if the message may be sent
+     */
+    allowSend(socketId) {
+        const now = Date.now();
+        const recent = (this.recentSends.get(socketId) || []).filter(t => now - t < RATE_LIMIT_WINDOW_MS);
+
+        if (recent.length >= RATE_LIMIT_COUNT) {
+            this.recentSends.set(socketId, recent);
+            return false;
+        }
+
+        recent.push(now);
+        this.recentSends.set(socketId, recent);
+        return true;
+    }
+
+    /**
+     * Add a player's message to a room
+     * @param {string} roomCode - Room code
+     * @param {object} sender - { id, name } of the sender
+     * @param {string} text - Message text
+     * @returns {{ success: boolean, message: object|null, error: string|null }}
+     */
+    addMessage(roomCode, sender, text) {
+        if (typeof text !== 'string' || text.trim().length === 0) {
+            return { success: false, message: null, error: 'Message is empty' };
+        }
+
+        const trimmed = text.trim();
+        if (trimmed.length > MAX_MESSAGE_LENGTH) {
+            return { success: false, message: null, error: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters` };
+        }
+
+        if (!this.allowSend(sender.id)) {
+            return { success: false, message: null, error: 'You are sending messages too fast' };
+        }
+
+        return {
+            success: true,
+            message: this.record(roomCode, {
+                type: 'player',
+                senderId: sender.id,
+                senderName: sender.name,
+                text: this.filterText(trimmed)
+            }),
+            error: null
+        };
+    }
+
+    /**
+     * Add a system message (game event) to a room
+     * @param {string} roomCode - Room code
+     * @param {string} text - Event text
+     * @returns {object} The message
+     */
+    addSystemMessage(roomCode, text) {
+        return this.record(roomCode, { type: 'system', text });
+    }
+
+    /**
+     * Stamp a message and append it to the room's history
+     * @param {string} roomCode - Room code
+     * @param {object} fields - Message fields
+     * @returns {object} The message
+     */
+    record(roomCode, fields) {
+        const message = {
+            id: this.nextMessageId++,
+            ...fields,
+            timestamp: Date.now()
+        };
+
+        const history = this.histories.get(roomCode) || [];
+        history.push(message);
+        if (history.length > HISTORY_SIZE) {
+            history.shift();
+        }
+        this.histories.set(roomCode, history);
+
+        return message;
+    }
+
+    /**
+     * Check a reaction and record it against the player's cooldown
+     * @param {string} socketId - Sender's socket ID
+     * @param {string} reaction - Reaction ID
+     * @returns {{ success: boolean, error: string|null }}
+     */
+    addReaction(socketId, reaction) {
+        if (!REACTIONS.includes(reaction)) {
+            return { success: false, error: 'Unknown reaction' };
+        }
+
+        const now = Date.now();
+        if (now - (this.lastReactions.get(socketId) || 0) < REACTION_COOLDOWN_MS) {
+            return { success: false, error: 'Wait a moment before reacting again' };
+        }
+
+        this.lastReactions.set(socketId, now);
+        return { success: true, error: null };
+    }
+
+    /**
+     * Get a room's recent messages
+     * @param {string} roomCode - Room code
+     * @returns {object[]} Messages, oldest first
+     */
+    getHistory(roomCode) {
+        return this.histories.get(roomCode) || [];
+    }
+
+    /**
+     * Start a room with an empty history (room codes are reused)
+     * @param {string} roomCode - Room code
+     */
+    clearRoom(roomCode) {
+        this.histories.delete(roomCode);
+    }
+
+    /**
+     * Forget a socket's rate limit and cooldown state once it disconnects
+     * @param {string} socketId - Socket ID
+     */
+    removeSocket(socketId) {
+        this.recentSends.delete(socketId);
+        this.lastReactions.delete(socketId);
+    }
+
+    /**
+     * Drop the history of rooms that no longer exist
+     * @param {function(string): boolean} roomExists - Checks a room code
+     */
+    cleanup(roomExists) {
+        for (const roomCode of this.histories.keys()) {
+            if (!roomExists(roomCode)) {
+                this.histories.delete(roomCode);
+            }
+        }
+    }
+}
+
+module.exports = ChatManager;
@@ -4,15 +4,36 @@
  * Handles:
  * - Creating lobbies with unique codes
  * - Player joining and leaving
- * - Host management
+ * - Host management and migration
+ * - House rule settings
+ * - Team assignment for 2v2 team mode
+ * - Bot seats
+ * - Kicking and banning players
+ * - Spectators
+ * - Chat mutes
  * - Reconnection support
+ * - Snapshots for restoring lobbies after a restart
+ * - Room codes from a pluggable random source (seeded ones repeat across runs)
  */
 
+const { v4: uuidv4 } = require('uuid');
+const { getDefaultSettings, validateSettings } = require('../game/Settings');
+const { BOT_DIFFICULTIES, getBotName } = require('../game/Bot');
+const { serializeGameState, deserializeGameState } = require('../game/GameState');
+
+// Team mode is played 2v2
+const TEAM_COUNT = 2;
+const TEAM_SIZE = 2;
+
 /**
  * LobbyManager class - manages all active lobbies
  */
 class LobbyManager {
-    constructor() {
+    /**
+     * @param {function(): number} random - Random source for room codes (default: Math.random)
+     */
+    constructor(random = Math.random) {
+        this.random = random;
         // Map of roomCode -> lobby object
         this.lobbies = new Map();
         // Map of playerId -> roomCode for quick lookup
@@ -31,7 +52,7 @@ class LobbyManager {
         do {
             code = '';
             for (let i = 0; i < 4; i++) {
-                code += chars.charAt(Math.floor(Math.random() * chars.length));
+                code += chars.charAt(Math.floor(this.random() * chars.length));
             }
         } while (this.lobbies.has(code));
         return code;
@@ -41,9 +62,10 @@ class LobbyManager {
      * Create a new lobby
      * @param {string} hostId - Socket ID of the host
      * @param {string} hostName - Name of the host
+     * @param {string|null} sessionId - Host's browser session, used for bans
      * @returns {object} Lobby object
      */
-    createLobby(hostId, hostName) {
+    createLobby(hostId, hostName, sessionId = null) {
         const roomCode = this.generateRoomCode();
 
         const lobby = {
@@ -52,8 +74,14 @@ class LobbyManager {
             players: [{
                 id: hostId,
                 name: hostName,
-                connected: true
+                sessionId,
+                connected: true,
+                team: null
             }],
+            spectators: [], // { id, name, sessionId } watching, not seated
+            bans: [], // { name, sessionId } of banned players
+            muted: [], // Lowercase names of players the host muted in chat
+            settings: getDefaultSettings(),
             gameState: null,
             createdAt: Date.now(),
             status: 'waiting' // waiting, playing, finished
@@ -70,24 +98,30 @@ class LobbyManager {
      * @param {string} roomCode - Room code to join
      * @param {string} playerId - Socket ID of joining player
      * @param {string} playerName - Name of joining player
+     * @param {string|null} sessionId - Joining player's browser session, used for bans
      * @returns {{ success: boolean, lobby: object|null, error: string|null }}
      */
-    joinLobby(roomCode, playerId, playerName) {
+    joinLobby(roomCode, playerId, playerName, sessionId = null) {
         const lobby = this.lobbies.get(roomCode.toUpperCase());
 
         if (!lobby) {
             return { success: false, lobby: null, error: 'Room not found' };
         }
 
-        if (lobby.status !== 'waiting') {
-            // Check if this is a reconnection
-            const reconnectKey = `${playerName}:${roomCode}`;
-            const oldPlayerId = this.disconnectedPlayers.get(reconnectKey);
+        // Checked first so a banned player can't come back as a reconnect either
+        if (this.isBanned(lobby, playerName, sessionId)) {
+            return { success: false, lobby: null, error: 'You are banned from this room' };
+        }
 
-            if (oldPlayerId) {
-                return this.handleReconnect(roomCode, oldPlayerId, playerId, playerName);
-            }
+        // Check if this is a reconnection (mid-game, or to a lobby restored after a restart)
+        const reconnectKey = `${playerName}:${lobby.roomCode}`;
+        const oldPlayerId = this.disconnectedPlayers.get(reconnectKey);
+
+        if (oldPlayerId) {
+            return this.handleReconnect(lobby.roomCode, oldPlayerId, playerId, playerName);
+        }
 
+        if (lobby.status !== 'waiting') {
             return { success: false, lobby: null, error: 'Game already in progress' };
         }
 
@@ -95,15 +129,16 @@ class LobbyManager {
             return { success: false, lobby: null, error: 'Lobby is full (max 10 players)' };
         }
 
-        // Check for duplicate name
-        if (lobby.players.some(p => p.name.toLowerCase() === playerName.toLowerCase())) {
+        if (this.isNameTaken(lobby, playerName)) {
             return { success: false, lobby: null, error: 'Name already taken in this lobby' };
         }
 
         lobby.players.push({
             id: playerId,
             name: playerName,
-            connected: true
+            sessionId,
+            connected: true,
+            team: null
         });
 
         this.playerRooms.set(playerId, roomCode);
@@ -111,10 +146,114 @@ class LobbyManager {
         return { success: true, lobby, error: null };
     }
 
+    /**
+     * Join a lobby as a spectator, before or during a game
+     * Spectators don't take a seat, so they don't count toward the player cap.
+     * @param {string} roomCode - Room code to join
+     * @param {string} spectatorId - Socket ID of spectator
+     * @param {string} name - Name of spectator
+     * @param {string|null} sessionId - Spectator's browser session, used for bans
+     * @returns {{ success: boolean, lobby: object|null, error: string|null }}
+     */
+    joinAsSpectator(roomCode, spectatorId, name, sessionId = null) {
+        const lobby = this.lobbies.get(roomCode.toUpperCase());
+
+        if (!lobby) {
+            return { success: false, lobby: null, error: 'Room not found' };
+        }
+
+        if (this.isBanned(lobby, name, sessionId)) {
+            return { success: false, lobby: null, error: 'You are banned from this room' };
+        }
+
+        if (this.isNameTaken(lobby, name)) {
+            return { success: false, lobby: null, error: 'Name already taken in this lobby' };
+        }
+
+        lobby.spectators.push({ id: spectatorId, name, sessionId });
+        this.playerRooms.set(spectatorId, lobby.roomCode);
+
+        return { success: true, lobby, error: null };
+    }
+
+    /**
+     * Move a spectator into an open seat for the next game
+     * @param {string} roomCode - Room code
+     * @param {string} spectatorId - Socket ID of spectator
+     * @returns {{ success: boolean, error: string|null }}
+     */
+    takeSeat(roomCode, spectatorId) {
+        const lobby = this.lobbies.get(roomCode.toUpperCase());
+
+        if (!lobby) {
+            return { success: false, error: 'Room not found' };
+        }
+
+        if (!this.isSpectator(lobby, spectatorId)) {
+            return { success: false, error: 'You are not spectating' };
+        }
+
+        if (lobby.status !== 'waiting') {
+            return { success: false, error: 'Seats open up once this game is over' };
+        }
+
+        if (lobby.players.length >= 10) {
+            return { success: false, error: 'Lobby is full (max 10 players)' };
+        }
+
+        this.seatSpectator(lobby, spectatorId);
+        return { success: true, error: null };
+    }
+
+    /**
+     * Move a spectator into the player list
+     * @param {object} lobby - Lobby object
+     * @param {string} spectatorId - Socket ID of spectator
+     * @returns {object} The new player
+     */
+    seatSpectator(lobby, spectatorId) {
+        const index = lobby.spectators.findIndex(s => s.id === spectatorId);
+        const [spectator] = lobby.spectators.splice(index, 1);
+
+        const player = {
+            id: spectator.id,
+            name: spectator.name,
+            sessionId: spectator.sessionId,
+            connected: true,
+            team: null
+        };
+        lobby.players.push(player);
+
+        return player;
+    }
+
+    /**
+     * Check if a socket is spectating a lobby
+     * @param {object} lobby - Lobby object
+     * @param {string} id - Socket ID
+     * @returns {boolean}
+     */
+    isSpectator(lobby, id) {
+        return lobby.spectators.some(s => s.id === id);
+    }
+
+    /**
+     * Check if a name is already used by a player or spectator
+     * @param {object} lobby - Lobby object
+     * @param {string} name - Name to check
+     * @returns {boolean}
+     */
+    isNameTaken(lobby, name) {
+        const lower = name.toLowerCase();
+        return lobby.players.some(p => p.name.toLowerCase() === lower) ||
+            lobby.spectators.some(s => s.name.toLowerCase() === lower);
+    }
+
     /**
      * Leave a lobby
+     * Spectators simply stop watching.
      * @param {string} playerId - Socket ID of leaving player
-     * @returns {{ success: boolean, lobby: object|null, wasHost: boolean, roomDeleted: boolean }}
+     * @returns {{ success: boolean, lobby: object|null, wasHost: boolean, roomDeleted: boolean, wasSpectator?: boolean }}
      */
     leaveLobby(playerId) {
         const roomCode = this.playerRooms.get(playerId);
@@ -128,6 +267,12 @@ class LobbyManager {
             return { success: false, lobby: null, wasHost: false, roomDeleted: false };
         }
 
+        if (this.isSpectator(lobby, playerId)) {
+            lobby.spectators = lobby.spectators.filter(s => s.id !== playerId);
+            this.playerRooms.delete(playerId);
+            return { success: true, lobby, wasHost: false, roomDeleted: false, wasSpectator: true };
+        }
+
         const playerIndex = lobby.players.findIndex(p => p.id === playerId);
         if (playerIndex === -1) {
             return { success: false, lobby: null, wasHost: false, roomDeleted: false };
@@ -147,20 +292,332 @@ class LobbyManager {
         lobby.players.splice(playerIndex, 1);
         this.playerRooms.delete(playerId);
 
-        // If lobby is empty, delete it
-        if (lobby.players.length === 0) {
+        // If only bots are left, a spectator takes over the table, or the lobby is deleted
+        const humans = lobby.players.filter(p => !p.isBot);
+        if (humans.length === 0 && lobby.spectators.length > 0) {
+            humans.push(this.seatSpectator(lobby, lobby.spectators[0].id));
+        }
+        if (humans.length === 0) {
             this.lobbies.delete(roomCode);
             return { success: true, lobby: null, wasHost, roomDeleted: true };
         }
 
         // If host left, assign new host
-        if (wasHost && lobby.players.length > 0) {
-            lobby.hostId = lobby.players[0].id;
+        if (wasHost) {
+            lobby.hostId = humans[0].id;
         }
 
         return { success: true, lobby, wasHost, roomDeleted: false };
     }
 
+    /**
+     * Add a bot seat to a lobby (host only)
+     * Bots have no socket, so they are not tracked in playerRooms.
+     * @param {string} roomCode - Room code
+     * @param {string} requesterId - Socket ID of requester
+     * @param {string} difficulty - 'easy', 'medium' or 'hard'
+     * @returns {{ success: boolean, bot: object|null, error: string|null }}
+     */
+    addBot(roomCode, requesterId, difficulty) {
+        const lobby = this.lobbies.get(roomCode.toUpperCase());
+
+        if (!lobby) {
+            return { success: false, bot: null, error: 'Room not found' };
+        }
+
+        if (lobby.hostId !== requesterId) {
+            return { success: false, bot: null, error: 'Only the host can add bots' };
+        }
+
+        if (lobby.status !== 'waiting') {
+            return { success: false, bot: null, error: 'Bots cannot be added during a game' };
+        }
+
+        if (!BOT_DIFFICULTIES.includes(difficulty)) {
+            return { success: false, bot: null, error: 'Invalid bot difficulty' };
+        }
+
+        if (lobby.players.length >= 10) {
+            return { success: false, bot: null, error: 'Lobby is full (max 10 players)' };
+        }
+
+        const bot = {
+            id: `bot-${uuidv4()}`,
+            name: getBotName(lobby.players.map(p => p.name)),
+            connected: true,
+            team: null,
+            isBot: true,
+            difficulty
+        };
+
+        lobby.players.push(bot);
+
+        return { success: true, bot, error: null };
+    }
+
+    /**
+     * Remove a bot seat from a lobby (host only)
+     * @param {string} roomCode - Room code
+     * @param {string} requesterId - Socket ID of requester
+     * @param {string} botId - ID of the bot to remove
+     * @returns {{ success: boolean, error: string|null }}
+     */
+    removeBot(roomCode, requesterId, botId) {
+        const lobby = this.lobbies.get(roomCode.toUpperCase());
+
+        if (!lobby) {
+            return { success: false, error: 'Room not found' };
+        }
+
+        if (lobby.hostId !== requesterId) {
+            return { success: false, error: 'Only the host can remove bots' };
+        }
+
+        if (lobby.status !== 'waiting') {
+            return { success: false, error: 'Bots cannot be removed during a game' };
+        }
+
+        const botIndex = lobby.players.findIndex(p => p.id === botId && p.isBot);
+        if (botIndex === -1) {
+            return { success: false, error: 'Bot not found' };
+        }
+
+        lobby.players.splice(botIndex, 1);
+        return { success: true, error: null };
+    }
+
+    /**
+     * Remove a player or spectator from a lobby (host only)
+     * Before a game players leave the lobby; during one their seat stays,
+     * disconnected, and they cannot reconnect to it. Spectators just leave.
+     * @param {string} roomCode - Room code
+     * @param {string} requesterId - Socket ID of requester
+     * @param {string} playerId - Player or spectator to kick
+     * @returns {{ success: boolean, player: object|null, error: string|null }}
+     */
+    kickPlayer(roomCode, requesterId, playerId) {
+        const lobby = this.lobbies.get(roomCode.toUpperCase());
+
+        if (!lobby) {
+            return { success: false, player: null, error: 'Room not found' };
+        }
+
+        if (lobby.hostId !== requesterId) {
+            return { success: false, player: null, error: 'Only the host can kick players' };
+        }
+
+        if (playerId === requesterId) {
+            return { success: false, player: null, error: 'You cannot kick yourself' };
+        }
+
+        const spectatorIndex = lobby.spectators.findIndex(s => s.id === playerId);
+        if (spectatorIndex !== -1) {
+            const [spectator] = lobby.spectators.splice(spectatorIndex, 1);
+            this.playerRooms.delete(playerId);
+            return { success: true, player: spectator, error: null };
+        }
+
+        const playerIndex = lobby.players.findIndex(p => p.id === playerId);
+        const player = lobby.players[playerIndex];
+
+        if (!player || player.kicked) {
+            return { success: false, player: null, error: 'Player not found' };
+        }
+
+        if (player.isBot) {
+            return { success: false, player: null, error: 'Bots are removed, not kicked' };
+        }
+
+        this.playerRooms.delete(playerId);
+        this.disconnectedPlayers.delete(`${player.name}:${lobby.roomCode}`);
+
+        if (lobby.status === 'playing') {
+            player.connected = false;
+            player.kicked = true;
+        } else {
+            lobby.players.splice(playerIndex, 1);
+        }
+
+        return { success: true, player, error: null };
+    }
+
+    /**
+     * Kick a player or spectator and keep them out of the room (host only)
+     * The ban covers both their name and their browser session.
+     * @param {string} roomCode - Room code
+     * @param {string} requesterId - Socket ID of requester
+     * @param {string} playerId - Player or spectator to ban
+     * @returns {{ success: boolean, player: object|null, error: string|null }}
+     */
+    banPlayer(roomCode, requesterId, playerId) {
+        const result = this.kickPlayer(roomCode, requesterId, playerId);
+        if (!result.success) {
+            return result;
+        }
+
+        const lobby = this.lobbies.get(roomCode.toUpperCase());
+        lobby.bans.push({
+            name: result.player.name.toLowerCase(),
+            sessionId: result.player.sessionId
+        });
+
+        return result;
+    }
+
+    /**
+     * Check if a name or session is banned from a lobby
+     * @param {object} lobby - Lobby object
+     * @param {string} playerName - Name of joining player
+     * @param {string|null} sessionId - Joining player's browser session
+     * @returns {boolean}
+     */
+    isBanned(lobby, playerName, sessionId) {
+        return lobby.bans.some(ban =>
+            ban.name === playerName.toLowerCase() ||
+            (sessionId && ban.sessionId === sessionId)
+        );
+    }
+
+    /**
+     * Mute or unmute someone in the room's chat (host only)
+     * Mutes follow the name, so they survive a reconnect.
+     * @param {string} roomCode - Room code
+     * @param {string} requesterId - Socket ID of requester
+     * @param {string} playerId - Player or spectator to mute
+     * @param {boolean} muted - True to mute, false to unmute
+     * @returns {{ success: boolean, error: string|null }}
+     */
+    setMuted(roomCode, requesterId, playerId, muted) {
+        const lobby = this.lobbies.get(roomCode.toUpperCase());
+
+        if (!lobby) {
+            return { success: false, error: 'Room not found' };
+        }
+
+        if (lobby.hostId !== requesterId) {
+            return { success: false, error: 'Only the host can mute players' };
+        }
+
+        if (playerId === requesterId) {
+            return { success: false, error: 'You cannot mute yourself' };
+        }
+
+        const member = this.getMember(lobby, playerId);
+        if (!member || member.isBot) {
+            return { success: false, error: 'Player not found' };
+        }
+
+        const name = member.name.toLowerCase();
+        lobby.muted = lobby.muted.filter(n => n !== name);
+        if (muted) {
+            lobby.muted.push(name);
+        }
+
+        return { success: true, error: null };
+    }
+
+    /**
+     * Check if a name is muted in a lobby's chat
+     * @param {object} lobby - Lobby object
+     * @param {string} name - Name to check
+     * @returns {boolean}
+     */
+    isMuted(lobby, name) {
+        return lobby.muted.includes(name.toLowerCase());
+    }
+
+    /**
+     * Find a player or spectator in a lobby
+     * @param {object} lobby - Lobby object
+     * @param {string} id - Socket ID
+     * @returns {object|null}
+     */
+    getMember(lobby, id) {
+        return lobby.players.find(p => p.id === id) ||
+            lobby.spectators.find(s => s.id === id) ||
+            null;
+    }
+
+    /**
+     * Hand the host role to another player (host only)
+     * @param {string} roomCode - Room code
+     * @param {string} requesterId - Socket ID of requester
+     * @param {string} newHostId - Player to make host
+     * @returns {{ success: boolean, error: string|null }}
+     */
+    transferHost(roomCode, requesterId, newHostId) {
+        const lobby = this.lobbies.get(roomCode.toUpperCase());
+
+        if (!lobby) {
+            return { success: false, error: 'Room not found' };
+        }
+
+        if (lobby.hostId !== requesterId) {
+            return { success: false, error: 'Only the host can transfer host' };
+        }
+
+        const player = lobby.players.find(p => p.id === newHostId);
+        if (!player) {
+            return { success: false, error: 'Player not found' };
+        }
+
+        if (player.id === requesterId) {
+            return { success: false, error: 'You are already the host' };
+        }
+
+        if (player.isBot || !player.connected) {
+            return { success: false, error: 'Only a connected player can be host' };
+        }
+
+        this.setHost(lobby, player.id);
+        return { success: true, error: null };
+    }
+
+    /**
+     * Promote the next connected player if the host is still gone
+     * Goes around the table in seat order, starting after the old host.
+     * @param {string} roomCode - Room code
+     * @returns {{ success: boolean, newHost: object|null }}
+     */
+    migrateHost(roomCode) {
+        const lobby = this.lobbies.get(roomCode.toUpperCase());
+        if (!lobby) {
+            return { success: false, newHost: null };
+        }
+
+        const host = lobby.players.find(p => p.id === lobby.hostId);
+        if (host && host.connected) {
+            return { success: false, newHost: null };
+        }
+
+        const seats = lobby.gameState ? lobby.gameState.players : lobby.players;
+        const hostSeat = seats.findIndex(p => p.id === lobby.hostId);
+
+        for (let i = 1; i <= seats.length; i++) {
+            const seat = seats[(hostSeat + i) % seats.length];
+            const player = lobby.players.find(p => p.id === seat.id);
+
+            if (player && !player.isBot && player.connected) {
+                this.setHost(lobby, player.id);
+                return { success: true, newHost: player };
+            }
+        }
+
+        return { success: false, newHost: null };
+    }
+
+    /**
+     * Make a player host of both the lobby and its game
+     * @param {object} lobby - Lobby object
+     * @param {string} playerId - New host's ID
+     */
+    setHost(lobby, playerId) {
+        lobby.hostId = playerId;
+        if (lobby.gameState) {
+            lobby.gameState.hostId = playerId;
+        }
+    }
+
     /**
      * Handle player reconnection
      * @param {string} roomCode - Room code
@@ -203,6 +660,7 @@ class LobbyManager {
             if (gamePlayer) {
                 gamePlayer.id = newPlayerId;
                 gamePlayer.connected = true;
+                gamePlayer.autoPlay = false; // Take the seat back from the bot
             }
             if (lobby.gameState.hostId === oldPlayerId) {
                 lobby.gameState.hostId = newPlayerId;
@@ -256,10 +714,156 @@ class LobbyManager {
             return { success: false, error: 'Game already started' };
         }
 
+        if (lobby.settings.teamMode && lobby.settings.elimination) {
+            return { success: false, error: 'Team mode and elimination cannot be combined' };
+        }
+
+        if (lobby.settings.teamMode) {
+            if (lobby.players.length !== TEAM_COUNT * TEAM_SIZE) {
+                return { success: false, error: `Team mode needs exactly ${TEAM_COUNT * TEAM_SIZE} players` };
+            }
+
+            // Anyone who has not picked a team fills the open spots
+            for (const player of lobby.players) {
+                if (player.team === null) {
+                    player.team = this.getSmallestTeam(lobby);
+                }
+            }
+
+            if (lobby.players.some(p => this.getTeamSize(lobby, p.team) !== TEAM_SIZE)) {
+                return { success: false, error: `Each team needs exactly ${TEAM_SIZE} players` };
+            }
+        }
+
         lobby.status = 'playing';
         return { success: true, error: null };
     }
 
+    /**
+     * Update the house rules for a lobby
+     * @param {string} roomCode - Room code
+     * @param {string} requesterId - Socket ID of requester
+     * @param {object} changes - Settings to change
+     * @returns {{ success: boolean, error: string|null }}
+     */
+    updateSettings(roomCode, requesterId, changes) {
+        const lobby = this.lobbies.get(roomCode.toUpperCase());
+
+        if (!lobby) {
+            return { success: false, error: 'Room not found' };
+        }
+
+        if (lobby.hostId !== requesterId) {
+            return { success: false, error: 'Only the host can change the rules' };
+        }
+
+        if (lobby.status !== 'waiting') {
+            return { success: false, error: 'Rules cannot be changed during a game' };
+        }
+
+        const result = validateSettings(changes, lobby.settings);
+        if (!result.success) {
+            return { success: false, error: result.error };
+        }
+
+        lobby.settings = result.settings;
+        return { success: true, error: null };
+    }
+
+    /**
+     * Put a player on a team (team mode)
+     * Players may pick their own team; the host may move anyone.
+     * @param {string} roomCode - Room code
+     * @param {string} requesterId - Socket ID of requester
+     * @param {string} playerId - Player to move
+     * @param {number|null} team - Team number (1 or 2), or null to unassign
+     * @returns {{ success: boolean, error: string|null }}
+     */
+    setTeam(roomCode, requesterId, playerId, team) {
+        const lobby = this.lobbies.get(roomCode.toUpperCase());
+
+        if (!lobby) {
+            return { success: false, error: 'Room not found' };
+        }
+
+        if (requesterId !== playerId && lobby.hostId !== requesterId) {
+            return { success: false, error: 'Only the host can move other players' };
+        }
+
+        if (lobby.status !== 'waiting') {
+            return { success: false, error: 'Teams cannot be changed during a game' };
+        }
+
+        const player = lobby.players.find(p => p.id === playerId);
+        if (!player) {
+            return { success: false, error: 'Player not found' };
+        }
+
+        if (team !== null && !(Number.isInteger(team) && team >= 1 && team <= TEAM_COUNT)) {
+            return { success: false, error: 'Invalid team' };
+        }
+
+        if (team !== null && player.team !== team && this.getTeamSize(lobby, team) >= TEAM_SIZE) {
+            return { success: false, error: `Team ${team} is full` };
+        }
+
+        player.team = team;
+        return { success: true, error: null };
+    }
+
+    /**
+     * Split the lobby into even teams in join order (host only)
+     * @param {string} roomCode - Room code
+     * @param {string} requesterId - Socket ID of requester
+     * @returns {{ success: boolean, error: string|null }}
+     */
+    autoBalanceTeams(roomCode, requesterId) {
+        const lobby = this.lobbies.get(roomCode.toUpperCase());
+
+        if (!lobby) {
+            return { success: false, error: 'Room not found' };
+        }
+
+        if (lobby.hostId !== requesterId) {
+            return { success: false, error: 'Only the host can balance teams' };
+        }
+
+        if (lobby.status !== 'waiting') {
+            return { success: false, error: 'Teams cannot be changed during a game' };
+        }
+
+        lobby.players.forEach((player, index) => {
+            player.team = index < TEAM_COUNT * TEAM_SIZE ? (index % TEAM_COUNT) + 1 : null;
+        });
+
+        return { success: true, error: null };
+    }
+
+    /**
+     * Count the players on a team
+     * @param {object} lobby - Lobby object
+     * @param {number} team - Team number
+     * @returns {number}
+     */
+    getTeamSize(lobby, team) {
+        return lobby.players.filter(p => p.team === team).length;
+    }
+
+    /**
+     * Get the team with the fewest players
+     * @param {object} lobby - Lobby object
+     * @returns {number} Team number
+     */
+    getSmallestTeam(lobby) {
+        let smallest = 1;
+        for (let team = 2; team <= TEAM_COUNT; team++) {
+            if (this.getTeamSize(lobby, team) < this.getTeamSize(lobby, smallest)) {
+                smallest = team;
+            }
+        }
+        return smallest;
+    }
+
     /**
      * Set game state for a lobby
      * @param {string} roomCode - Room code
@@ -281,6 +885,8 @@ class LobbyManager {
         if (lobby) {
             lobby.status = 'waiting';
             lobby.gameState = null;
+            // Kicked players' seats were only kept for the game
+            lobby.players = lobby.players.filter(p => !p.kicked);
         }
     }
 
@@ -293,7 +899,7 @@ class LobbyManager {
         for (const [roomCode, lobby] of this.lobbies.entries()) {
             if (now - lobby.createdAt > maxAgeMs && lobby.status !== 'playing') {
                 // Remove all player mappings
-                for (const player of lobby.players) {
+                for (const player of [...lobby.players, ...lobby.spectators]) {
                     this.playerRooms.delete(player.id);
                 }
                 this.lobbies.delete(roomCode);
@@ -301,6 +907,61 @@ class LobbyManager {
         }
     }
 
+    /**
+     * Capture every lobby and game as plain data, for saving to disk
+     * @returns {object} { savedAt, lobbies }
+     */
+    toSnapshot() {
+        return {
+            savedAt: Date.now(),
+            lobbies: [...this.lobbies.values()].map(lobby => ({
+                ...lobby,
+                gameState: lobby.gameState ? serializeGameState(lobby.gameState) : null
+            }))
+        };
+    }
+
+    /**
+     * Restore lobbies from a snapshot taken before a restart
+     * Nobody is connected yet: every human seat is held for its player to
+     * rejoin under the same name, and spectators have to join again.
+     * @param {object} snapshot - Result of toSnapshot
+     * @returns {object[]} Restored lobbies
+     */
+    restoreSnapshot(snapshot) {
+        const restored = [];
+
+        for (const data of snapshot.lobbies) {
+            if (this.lobbies.has(data.roomCode)) continue;
+
+            const lobby = {
+                ...data,
+                spectators: [],
+                gameState: data.gameState ? deserializeGameState(data.gameState) : null
+            };
+
+            for (const player of lobby.players) {
+                if (player.isBot || player.kicked) continue;
+
+                player.connected = false;
+                this.disconnectedPlayers.set(`${player.name}:${lobby.roomCode}`, player.id);
+            }
+
+            if (lobby.gameState) {
+                for (const gamePlayer of lobby.gameState.players) {
+                    if (!gamePlayer.isBot) {
+                        gamePlayer.connected = false;
+                    }
+                }
+            }
+
+            this.lobbies.set(lobby.roomCode, lobby);
+            restored.push(lobby);
+        }
+
+        return restored;
+    }
+
     /**
      * Get statistics for monitoring
      * @returns {object} Stats
@@ -0,0 +1,64 @@
+/**
+ * ReplayStore.js - Saving finished games to disk
+ *
+ * One JSON file per replay, named by its ID. IDs come from clients when
+ * they ask for a replay, so only UUIDs are ever turned into file names.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPLAY_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Check that a replay ID is well-formed
+ * @param {*} id - Replay ID from a client
+ * @returns {boolean}
+ */
+function isValidReplayId(id) {
+    return typeof id === 'string' && REPLAY_ID_PATTERN.test(id);
+}
+
+/**
+ * Write a replay to disk
+ * @param {string} dir - Replay directory
+ * @param {object} replay - Result of createReplay
+ */
+function saveReplay(dir, replay) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const filePath = path.join(dir, `${replay.id}.json`);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(replay));
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Read a saved replay
+ * @param {string} dir - Replay directory
+ * @param {string} id - Replay ID
+ * @returns {object|null} Replay, or null if there is none or it can't be read
+ */
+function loadReplay(dir, id) {
+    if (!isValidReplayId(id)) {
+        return null;
+    }
+
+    const filePath = path.join(dir, `${id}.json`);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        console.error(`Could not read replay ${filePath}:`, err.message);
+        return null;
+    }
+}
+
+module.exports = {
+    isValidReplayId,
+    saveReplay,
+    loadReplay
+};
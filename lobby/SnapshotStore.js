@@ -0,0 +1,47 @@
+/**
+ * SnapshotStore.js - Saving lobbies to disk
+ *
+ * Keeps a single JSON snapshot of every lobby and game so a restart or
+ * deploy doesn't end games in progress. Writes go to a temporary file
+ * first and are renamed into place, so a crash mid-write never leaves a
+ * half-written snapshot behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Write a snapshot to disk
+ * @param {string} filePath - Snapshot file
+ * @param {object} snapshot - Result of LobbyManager.toSnapshot
+ */
+function saveSnapshot(filePath, snapshot) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Read the snapshot saved by the last run
+ * @param {string} filePath - Snapshot file
+ * @returns {object|null} Snapshot, or null if there is none or it can't be read
+ */
+function loadSnapshot(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        console.error(`Could not read snapshot ${filePath}:`, err.message);
+        return null;
+    }
+}
+
+module.exports = {
+    saveSnapshot,
+    loadSnapshot
+};
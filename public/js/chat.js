@@ -0,0 +1,235 @@
+/**
+ * chat.js - Room chat panel
+ *
+ * Shared by the lobby and game screens. Shows player messages and,
+ * optionally, game events; lets the host mute and unmute people.
+ */
+
+const ChatUI = {
+    socket: null,
+    messages: [],
+    members: [],
+    open: false,
+    unread: 0,
+    showEvents: true,
+
+    /**
+     * Initialize chat UI with socket connection
+     * @param {Socket} socket - Socket.IO socket
+     */
+    init(socket) {
+        this.socket = socket;
+        this.showEvents = this.loadShowEvents();
+        document.getElementById('chat-show-events').checked = this.showEvents;
+        this.bindEvents();
+        this.bindSocketEvents();
+    },
+
+    /**
+     * Bind DOM events
+     */
+    bindEvents() {
+        document.getElementById('chat-toggle').addEventListener('click', () => {
+            this.setOpen(!this.open);
+        });
+
+        document.getElementById('chat-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendMessage();
+        });
+
+        document.getElementById('chat-show-events').addEventListener('change', (e) => {
+            this.showEvents = e.target.checked;
+            try {
+                localStorage.setItem('uno_chat_events', this.showEvents ? '1' : '0');
+            } catch (err) {
+                console.warn('Could not save chat setting:', err);
+            }
+            this.render();
+        });
+    },
+
+    /**
+     * Bind socket events
+     */
+    bindSocketEvents() {
+        // Recent messages, sent on join and reconnect
+        this.socket.on('chatHistory', (messages) => {
+            this.messages = messages;
+            this.unread = 0;
+            this.render();
+        });
+
+        this.socket.on('chatMessage', (message) => {
+            this.messages.push(message);
+            if (this.messages.length > 50) {
+                this.messages.shift();
+            }
+
+            if (!this.open && this.isVisible(message)) {
+                this.unread++;
+            }
+            this.render();
+        });
+    },
+
+    /**
+     * Show or hide the whole panel (hidden outside a room)
+     * @param {boolean} inRoom - True on the lobby and game screens
+     */
+    setInRoom(inRoom) {
+        document.getElementById('chat-panel').classList.toggle('hidden', !inRoom);
+        if (!inRoom) {
+            this.messages = [];
+            this.members = [];
+            this.unread = 0;
+            this.render();
+        }
+    },
+
+    /**
+     * Expand or collapse the panel
+     * @param {boolean} open - True to expand
+     */
+    setOpen(open) {
+        this.open = open;
+        document.getElementById('chat-panel').classList.toggle('open', open);
+        if (open) {
+            this.unread = 0;
+            document.getElementById('chat-input').focus();
+        }
+        this.render();
+    },
+
+    /**
+     * Keep track of who is in the room and who is muted
+     * @param {object} data - Lobby data
+     */
+    updateMembers(data) {
+        this.members = data.players.concat(data.spectators);
+
+        const me = this.members.find(m => m.id === LobbyUI.playerId);
+        const input = document.getElementById('chat-input');
+        input.disabled = !!(me && me.muted);
+        input.placeholder = input.disabled ? 'The host has muted you' : 'Say something...';
+
+        this.render();
+    },
+
+    /**
+     * Send the typed message
+     */
+    sendMessage() {
+        const input = document.getElementById('chat-input');
+        const text = input.value.trim();
+        if (!text) return;
+
+        this.socket.emit('chatMessage', text, (response) => {
+            if (response.success) {
+                input.value = '';
+            } else {
+                Renderer.showToast(response.error, 'error');
+            }
+        });
+    },
+
+    /**
+     * Mute or unmute someone (host only)
+     * @param {string} playerId - Player or spectator ID
+     * @param {boolean} muted - True to mute
+     */
+    setMuted(playerId, muted) {
+        this.socket.emit('mutePlayer', playerId, muted, (response) => {
+            if (!response.success) {
+                Renderer.showToast(response.error, 'error');
+            }
+        });
+    },
+
+    /**
+     * Check if a message is shown under the current filter
+     * @param {object} message - Chat message
+     * @returns {boolean}
+     */
+    isVisible(message) {
+        return message.type !== 'system' || this.showEvents;
+    },
+
+    /**
+     * Render messages and the unread badge
+     */
+    render() {
+        const badge = document.getElementById('chat-unread');
+        badge.textContent = this.unread;
+        badge.classList.toggle('hidden', this.unread === 0);
+
+        const list = document.getElementById('chat-messages');
+        const atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 10;
+        list.innerHTML = '';
+
+        this.messages.filter(m => this.isVisible(m)).forEach(message => {
+            list.appendChild(this.createMessageElement(message));
+        });
+
+        if (atBottom) {
+            list.scrollTop = list.scrollHeight;
+        }
+    },
+
+    /**
+     * Build the element for one message
+     * Message text is user input, so it is only ever set as text.
+     * @param {object} message - Chat message
+     * @returns {HTMLElement}
+     */
+    createMessageElement(message) {
+        const li = document.createElement('li');
+        li.className = `chat-message ${message.type}`;
+
+        if (message.type === 'system') {
+            li.textContent = message.text;
+            return li;
+        }
+
+        const sender = document.createElement('span');
+        sender.className = 'chat-sender';
+        sender.textContent = message.senderName;
+        if (message.senderId === LobbyUI.playerId) {
+            sender.classList.add('you');
+        }
+        li.appendChild(sender);
+
+        // Host can mute anyone else who is still in the room
+        const member = this.members.find(m => m.id === message.senderId);
+        if (LobbyUI.isHost && member && member.id !== LobbyUI.playerId) {
+            const muteBtn = document.createElement('button');
+            muteBtn.className = 'chat-mute-btn';
+            muteBtn.textContent = member.muted ? '🔈' : '🔇';
+            muteBtn.title = member.muted ? `Unmute ${member.name}` : `Mute ${member.name}`;
+            muteBtn.addEventListener('click', () => this.setMuted(member.id, !member.muted));
+            li.appendChild(muteBtn);
+        }
+
+        const text = document.createElement('span');
+        text.className = 'chat-text';
+        text.textContent = message.text;
+        li.appendChild(text);
+
+        return li;
+    },
+
+    /**
+     * Load the "show game events" preference
+     * @returns {boolean}
+     */
+    loadShowEvents() {
+        try {
+            return localStorage.getItem('uno_chat_events') !== '0';
+        } catch (e) {
+            return true;
+        }
+    }
+};
+
+// Export for use in other modules
+window.ChatUI = ChatUI;
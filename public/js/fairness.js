@@ -0,0 +1,382 @@
+/**
+ * fairness.js - Checking each round's shuffle
+ *
+ * When a round starts the server publishes a commitment: a hash of the
+ * round's seed and shuffled deck. When the round ends it reveals the seed
+ * and a log of every card that went on or off the draw pile. This module
+ * re-runs the server's shuffle from the seed (game/Random.js, Deck.js and
+ * Fairness.js on the server) and checks that:
+ * - the seed and deck match the commitment published at the start
+ * - every card dealt or drawn came off the top of the pile in order,
+ *   including after the discard pile was reshuffled
+ * - reshuffled discards went in in the order they were played
+ * - the cards the log gives you are the ones you actually got
+ */
+
+// Deck composition, in the order the server creates cards (see game/Deck.js)
+const DECK_COLORS = ['red', 'yellow', 'green', 'blue'];
+const DECK_ACTION_TYPES = ['skip', 'reverse', 'drawTwo'];
+const FLIP_LIGHT_TYPES = ['drawOne', 'reverse', 'skip', 'flip'];
+const STARTING_CARD_REJECTS = ['wildDrawFour', 'wildDrawTwo'];
+
+const Fairness = {
+    round: null,
+
+    /**
+     * Initialize with socket connection
+     * @param {Socket} socket - Socket.IO socket
+     */
+    init(socket) {
+        // Updates missed while disconnected can't be checked against
+        socket.on('disconnect', () => {
+            if (this.round) {
+                this.round.complete = false;
+            }
+        });
+    },
+
+    /**
+     * Track a game state: the commitment, your hand and the discard pile
+     * Checks the round once its reveal arrives.
+     * @param {object} state - Game state
+     * @param {string} playerId - Your player ID
+     */
+    observe(state, playerId) {
+        if (!state.commitment) return;
+
+        // A new round, or a new game (whose log starts over)
+        let round = this.round;
+        if (!round || round.roundNumber !== state.roundNumber || state.lastEventSeq < round.firstSeq) {
+            round = this.round = {
+                roundNumber: state.roundNumber,
+                commitment: state.commitment,
+                firstSeq: state.lastEventSeq,
+                // Watched from the deal, so every card you got went past
+                complete: !!state.lastAction && state.lastAction.type === 'roundStart',
+                seat: state.players.findIndex(p => p.id === playerId),
+                seenIds: new Set(),
+                receivedIds: new Set(),
+                discardIds: [],
+                checked: false
+            };
+            this.showResult('');
+        }
+
+        const me = state.players[round.seat];
+        if (me && me.hand) {
+            me.hand.forEach(card => round.seenIds.add(card.id));
+        }
+
+        if (state.topCard && round.discardIds[round.discardIds.length - 1] !== state.topCard.id) {
+            round.discardIds.push(state.topCard.id);
+            round.seenIds.add(state.topCard.id);
+        }
+
+        if (state.reveal && state.reveal.roundNumber === round.roundNumber && !round.checked) {
+            round.checked = true;
+            this.showResult('Checking the shuffle...');
+            this.verify(state.reveal, round)
+                .then(result => this.showResult(result.message, result.ok))
+                .catch(err => this.showResult(`Could not check the shuffle: ${err.message}`, false));
+        }
+    },
+
+    /**
+     * Track a history event: cards dealt or drawn to you show their faces
+     * @param {object} event - History event
+     */
+    observeEvent(event) {
+        const round = this.round;
+        if (!round || event.seq < round.firstSeq) return;
+
+        (event.cards || [])
+            .filter(card => !card.hidden)
+            .forEach(card => {
+                round.receivedIds.add(card.id);
+                round.seenIds.add(card.id);
+            });
+    },
+
+    /**
+     * Check a revealed round
+     * @param {object} reveal - { roundNumber, seed, commitment, gameMode, specialWilds, pileLog }
+     * @param {object} round - What this client saw of the round (see observe)
+     * @returns {Promise<{ ok: boolean|null, message: string }>} ok is null when the check can't run
+     */
+    async verify(reveal, round) {
+        if (!window.crypto || !window.crypto.subtle) {
+            return { ok: null, message: 'Checking the shuffle needs a secure (HTTPS) connection' };
+        }
+
+        if (reveal.commitment !== round.commitment) {
+            return { ok: false, message: 'The revealed commitment is not the one published when the round started' };
+        }
+
+        const rng = { seed: reveal.seed, counter: 0 };
+        const deck = await this.shuffle(await this.createDeck(reveal.gameMode, reveal.specialWilds, rng), rng);
+        const expected = await this.sha256(`${reveal.seed}:${deck.map(c => c.id).join(',')}`);
+
+        if (expected !== round.commitment) {
+            return { ok: false, message: 'The revealed seed does not produce the committed deck' };
+        }
+
+        const problem = await this.replayPile(deck, reveal.pileLog, rng, round);
+        if (problem) {
+            return { ok: false, message: problem };
+        }
+
+        return { ok: true, message: `Round ${reveal.roundNumber} shuffle verified: every card came off the committed deck` };
+    },
+
+    /**
+     * Re-run the round's draw pile and compare it with the log
+     * @param {object[]} deck - Shuffled deck, bottom card first
+     * @param {object[]} pileLog - Log entries (see game/Fairness.js)
+     * @param {object} rng - Generator, positioned after the shuffle
+     * @param {object} round - What this client saw of the round
+     * @returns {Promise<string|null>} The first problem found, or null
+     */
+    async replayPile(deck, pileLog, rng, round) {
+        let pile = deck;
+        let discardCursor = 0;
+        const yours = [];
+
+        const takeTop = (cardId) => {
+            const card = pile.pop();
+            return card && card.id === cardId;
+        };
+
+        for (const entry of pileLog) {
+            switch (entry.op) {
+                case 'deal': {
+                    // One card at a time around the table
+                    const longest = Math.max(0, ...entry.hands.map(hand => hand.length));
+                    for (let i = 0; i < longest; i++) {
+                        for (const hand of entry.hands) {
+                            if (i < hand.length && !takeTop(hand[i])) {
+                                return 'The deal does not match the shuffled deck';
+                            }
+                        }
+                    }
+                    yours.push(...(entry.hands[round.seat] || []));
+                    break;
+                }
+
+                case 'start': {
+                    // Drawing wilds go back under the pile and it is shuffled again
+                    let card = pile.pop();
+                    while (card && STARTING_CARD_REJECTS.includes(card.type)) {
+                        pile.unshift(card);
+                        await this.shuffle(pile, rng);
+                        card = pile.pop();
+                    }
+                    if (!card || card.id !== entry.cardId) {
+                        return 'The first discard is not the card the shuffle gives';
+                    }
+                    break;
+                }
+
+                case 'draw':
+                    if (!entry.cardIds.every(takeTop)) {
+                        return 'A draw did not come off the top of the pile';
+                    }
+                    if (entry.seat === round.seat) {
+                        yours.push(...entry.cardIds);
+                    }
+                    break;
+
+                case 'reshuffle':
+                    if (pile.length > 0) {
+                        return 'The discard pile was reshuffled before the draw pile ran out';
+                    }
+                    discardCursor = this.checkDiscardOrder(round.discardIds, discardCursor, entry.cardIds);
+                    if (discardCursor === -1) {
+                        return 'The reshuffled discard pile is not in the order the cards were played';
+                    }
+                    pile = await this.shuffle(entry.cardIds.map(id => ({ id })), rng);
+                    break;
+
+                case 'return':
+                    pile.unshift(...entry.cardIds.map(id => ({ id })));
+                    break;
+
+                case 'shuffleHands':
+                    // Wild Shuffle Hands takes its numbers from the same generator
+                    for (let i = 1; i < entry.count; i++) {
+                        await this.nextRandom(rng);
+                    }
+                    break;
+            }
+        }
+
+        if (round.seat === -1) {
+            return null;
+        }
+
+        const yourIds = new Set(yours);
+        if ([...round.receivedIds].some(id => !yourIds.has(id))) {
+            return 'You were dealt or drew a card the log gives to someone else';
+        }
+        if (round.complete && yours.some(id => !round.seenIds.has(id))) {
+            return 'The log gives you a card you never received';
+        }
+
+        return null;
+    },
+
+    /**
+     * Check that the discards you saw, in the order you saw them, are in that order in a reshuffle
+     * @param {string[]} discardIds - Top cards seen this round, oldest first
+     * @param {number} cursor - Where the discard pile started after the last reshuffle
+     * @param {string[]} cardIds - Reshuffled cards, oldest first
+     * @returns {number} Where the next reshuffle's discards start, or -1 if out of order
+     */
+    checkDiscardOrder(discardIds, cursor, cardIds) {
+        const positions = new Map(cardIds.map((id, index) => [id, index]));
+        let last = -1;
+
+        for (let i = cursor; i < discardIds.length; i++) {
+            // The first one not reshuffled is the top card, which stayed put
+            if (!positions.has(discardIds[i])) {
+                return i;
+            }
+            if (positions.get(discardIds[i]) <= last) {
+                return -1;
+            }
+            last = positions.get(discardIds[i]);
+        }
+
+        return discardIds.length;
+    },
+
+    /**
+     * Build the unshuffled deck as the server does, with the same card IDs
+     * @param {string} gameMode - 'classic' or 'flip'
+     * @param {boolean} specialWilds - Classic deck with special wilds
+     * @param {object} rng - Generator
+     * @returns {Promise<object[]>} Cards { id, type } (light side for UNO Flip)
+     */
+    async createDeck(gameMode, specialWilds, rng) {
+        const types = [];
+
+        if (gameMode === 'flip') {
+            for (const color of DECK_COLORS) {
+                for (let value = 1; value <= 9; value++) {
+                    types.push('number', 'number');
+                }
+                for (const actionType of FLIP_LIGHT_TYPES) {
+                    types.push(actionType, actionType);
+                }
+            }
+            for (let i = 0; i < 4; i++) {
+                types.push('wild', 'wildDrawTwo');
+            }
+
+            // The dark faces are shuffled first; only the numbers used matter here
+            await this.shuffle(new Array(types.length).fill(null), rng);
+        } else {
+            for (const color of DECK_COLORS) {
+                types.push('number');
+                for (let value = 1; value <= 9; value++) {
+                    types.push('number', 'number');
+                }
+                for (const actionType of DECK_ACTION_TYPES) {
+                    types.push(actionType, actionType);
+                }
+            }
+            for (let i = 0; i < 4; i++) {
+                types.push('wild');
+            }
+            for (let i = 0; i < 4; i++) {
+                types.push('wildDrawFour');
+            }
+            if (specialWilds) {
+                types.push('wildShuffleHands', 'wildCustom', 'wildCustom', 'wildCustom');
+            }
+        }
+
+        const cards = [];
+        for (const type of types) {
+            cards.push({ id: await this.createCardId(rng), type });
+        }
+        return cards;
+    },
+
+    /**
+     * Card ID from 16 random bytes, as a version 4 UUID
+     * @param {object} rng - Generator
+     * @returns {Promise<string>}
+     */
+    async createCardId(rng) {
+        const bytes = [];
+        for (let i = 0; i < 16; i++) {
+            bytes.push(Math.floor(await this.nextRandom(rng) * 256));
+        }
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+        const hex = bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    },
+
+    /**
+     * Fisher-Yates shuffle driven by the generator
+     * @param {Array} items - Items to shuffle (mutated)
+     * @param {object} rng - Generator
+     * @returns {Promise<Array>} The same array
+     */
+    async shuffle(items, rng) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(await this.nextRandom(rng) * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    },
+
+    /**
+     * Next number from a generator: SHA-256 of "seed:counter"
+     * @param {object} rng - { seed, counter } (counter is advanced)
+     * @returns {Promise<number>} Float in [0, 1)
+     */
+    async nextRandom(rng) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${rng.seed}:${rng.counter}`));
+        rng.counter++;
+
+        const bytes = new Uint8Array(digest);
+        let value = 0;
+        for (let i = 0; i < 6; i++) {
+            value = value * 256 + bytes[i];
+        }
+        return value / 2 ** 48;
+    },
+
+    /**
+     * SHA-256 of a string
+     * @param {string} text - Input
+     * @returns {Promise<string>} Hex digest
+     */
+    async sha256(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * Show the result on the round and game end panels
+     * @param {string} message - Result text ('' to clear)
+     * @param {boolean|null} ok - True if verified, false if the check failed
+     */
+    showResult(message, ok = null) {
+        document.querySelectorAll('.fairness-result').forEach(el => {
+            el.textContent = message;
+            el.classList.toggle('verified', ok === true);
+            el.classList.toggle('failed', ok === false);
+        });
+
+        if (ok === false) {
+            Renderer.showToast(`Shuffle check failed: ${message}`, 'error');
+        }
+    }
+};
+
+// Export for use in other modules
+window.Fairness = Fairness;
@@ -10,6 +10,10 @@ const GameUI = {
     playerId: null,
     canPlayDrawnCard: false,
     drawnCardId: null,
+    recentlyDrawnIds: [],
+    reactionsMuted: false,
+    historySeq: 0,
+    historyLoading: false,
 
     /**
      * Initialize game UI with socket connection
@@ -17,6 +21,7 @@ const GameUI = {
      */
     init(socket) {
         this.socket = socket;
+        this.reactionsMuted = this.loadReactionsMuted();
         this.bindEvents();
         this.bindSocketEvents();
     },
@@ -48,15 +53,41 @@ const GameUI = {
             });
         });
 
+        // Wild Draw Four challenge buttons
+        document.getElementById('challenge-btn').addEventListener('click', () => {
+            this.respondToChallenge(true);
+        });
+
+        document.getElementById('accept-draw-four-btn').addEventListener('click', () => {
+            this.respondToChallenge(false);
+        });
+
         // Next round button
         document.getElementById('next-round-btn').addEventListener('click', () => {
             this.nextRound();
         });
 
+        // Watch the finished game's replay
+        document.getElementById('watch-replay-btn').addEventListener('click', () => {
+            ReplayUI.open(this.gameState.replayId);
+        });
+
         // Return to lobby button
         document.getElementById('return-lobby-btn').addEventListener('click', () => {
             this.returnToLobby();
         });
+
+        // Quick reactions
+        document.querySelectorAll('.reaction-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.sendReaction(btn.dataset.reaction);
+            });
+        });
+
+        document.getElementById('mute-reactions-btn').addEventListener('click', () => {
+            this.setReactionsMuted(!this.reactionsMuted);
+        });
+        this.setReactionsMuted(this.reactionsMuted);
     },
 
     /**
@@ -68,6 +99,8 @@ const GameUI = {
             this.gameState = state;
             this.playerId = LobbyUI.playerId;
             this.renderGame();
+            Fairness.observe(state, this.playerId);
+            this.syncHistory();
 
             // Switch to game screen if not already there
             if (!document.getElementById('game-screen').classList.contains('active')) {
@@ -79,6 +112,14 @@ const GameUI = {
         this.socket.on('action', (action) => {
             this.showActionFeedback(action);
         });
+
+        // Someone reacted; your own always show so you know it went through
+        this.socket.on('reaction', (data) => {
+            const isMe = data.playerId === this.playerId;
+            if (isMe || !this.reactionsMuted) {
+                Renderer.showReaction(data.playerId, data.reaction, isMe);
+            }
+        });
     },
 
     /**
@@ -88,10 +129,14 @@ const GameUI = {
         const state = this.gameState;
         if (!state) return;
 
-        // Find current player (me)
-        const me = state.players.find(p => p.id === this.playerId);
+        // Find current player (me); spectators have no seat, so everyone is an opponent
+        const me = state.spectating
+            ? this.getSpectatorSeat()
+            : state.players.find(p => p.id === this.playerId);
         if (!me) return;
 
+        document.getElementById('game-screen').classList.toggle('spectating', !!state.spectating);
+
         // Render my hand
         this.renderHand(me.hand);
 
@@ -101,9 +146,15 @@ const GameUI = {
             state.players,
             this.playerId,
             state.unoCallWindow,
-            (targetId) => this.catchUno(targetId)
+            state.spectating ? null : (targetId) => this.catchUno(targetId),
+            state.hostId,
+            state.hostId === this.playerId ? (targetId) => this.transferHost(targetId) : null,
+            state.hostId === this.playerId ? (player) => this.kickPlayer(player) : null
         );
 
+        // Countdown ring on the current player
+        this.renderTurnTimer(state);
+
         // Update top card
         Renderer.updateTopCard(
             document.getElementById('top-card'),
@@ -130,29 +181,123 @@ const GameUI = {
         const stackIndicator = document.getElementById('stack-indicator');
         if (state.stackedDrawCount > 0) {
             stackIndicator.classList.remove('hidden');
-            document.getElementById('stack-count').textContent = `+${state.stackedDrawCount}`;
+            document.getElementById('stack-count').textContent =
+                Renderer.formatStack(state.stackedDrawCount, state.stackCounts);
         } else {
             stackIndicator.classList.add('hidden');
         }
 
         // Update draw pile count
         document.getElementById('draw-count').textContent = state.drawPile.count;
+        Renderer.updateDrawPile(document.getElementById('draw-pile'), state.drawPile.topBack);
+
+        // UNO Flip: the color picker offers the colors of the side in play
+        Renderer.updateColorButtons(document.querySelectorAll('.color-btn'), state.side);
 
         // Update player info bar
-        document.getElementById('your-name').textContent = me.name;
-        document.getElementById('your-score').textContent = `Score: ${me.score}`;
-        document.getElementById('card-count').textContent = `Cards: ${me.cardCount}`;
+        if (state.spectating) {
+            document.getElementById('your-name').textContent = me.name;
+            document.getElementById('your-score').textContent = '';
+            document.getElementById('card-count').textContent = 'Spectating';
+        } else {
+            document.getElementById('your-name').textContent = me.team != null ? `${me.name} (Team ${me.team})` : me.name;
+            document.getElementById('your-score').textContent = `Score: ${me.score}`;
+            document.getElementById('card-count').textContent = me.eliminated
+                ? 'Knocked out - spectating'
+                : `Cards: ${me.cardCount}`;
+        }
 
         // Update UNO button state
         this.updateUnoButton(me);
 
-        // Update skip button visibility
-        document.getElementById('skip-draw-btn').classList.toggle('hidden', !this.canPlayDrawnCard);
+        // Update skip button visibility (keeping is not allowed when the drawn card must be played)
+        const mustPlayDrawn = state.settings && state.settings.mustPlayDrawn;
+        document.getElementById('skip-draw-btn').classList.toggle('hidden', !this.canPlayDrawnCard || mustPlayDrawn);
 
         // Handle overlays
         this.handleOverlays(state, me);
     },
 
+    /**
+     * Send a quick reaction
+     * @param {string} reaction - Reaction ID
+     */
+    sendReaction(reaction) {
+        this.socket.emit('reaction', reaction, (response) => {
+            if (!response.success) {
+                Renderer.showToast(response.error, 'warning');
+            }
+        });
+    },
+
+    /**
+     * Hide or show other players' reactions (this browser only)
+     * @param {boolean} muted - True to hide them
+     */
+    setReactionsMuted(muted) {
+        this.reactionsMuted = muted;
+
+        const btn = document.getElementById('mute-reactions-btn');
+        btn.textContent = muted ? '🔕' : '🔔';
+        btn.title = muted ? 'Show reactions' : 'Hide reactions';
+
+        try {
+            localStorage.setItem('uno_reactions_muted', muted ? '1' : '0');
+        } catch (e) {
+            console.warn('Could not save reaction setting:', e);
+        }
+    },
+
+    /**
+     * Load whether reactions are muted in this browser
+     * @returns {boolean}
+     */
+    loadReactionsMuted() {
+        try {
+            return localStorage.getItem('uno_reactions_muted') === '1';
+        } catch (e) {
+            return false;
+        }
+    },
+
+    /**
+     * Stand-in for "me" when spectating: no seat, no cards, never anyone's turn
+     * @returns {object}
+     */
+    getSpectatorSeat() {
+        return {
+            id: null,
+            name: LobbyUI.playerName,
+            hand: [],
+            cardCount: 0,
+            score: 0,
+            team: null,
+            calledUno: false,
+            isCurrentPlayer: false
+        };
+    },
+
+    /**
+     * Show the turn timer on whoever's turn it is
+     * @param {object} state - Game state
+     */
+    renderTurnTimer(state) {
+        const mySlot = document.getElementById('my-turn-timer');
+        mySlot.innerHTML = '';
+
+        const currentPlayer = state.players.find(p => p.isCurrentPlayer);
+        if (state.turnTimeRemaining === null || !currentPlayer) return;
+
+        const ring = Renderer.createTurnTimer(state.turnTimeRemaining, state.settings.turnTimerSeconds * 1000);
+
+        if (currentPlayer.id === this.playerId) {
+            mySlot.appendChild(ring);
+        } else {
+            const slot = document.querySelector(`.opponent-slot[data-player-id="${currentPlayer.id}"]`);
+            if (slot) slot.appendChild(ring);
+        }
+    },
+
     /**
      * Render player's hand
      * @param {object[]} cards - Cards in hand
@@ -164,8 +309,15 @@ const GameUI = {
             container,
             cards,
             this.gameState,
-            (card) => this.playCard(card)
+            (card) => this.playCard(card),
+            (card) => this.jumpIn(card)
         );
+
+        // Animate the batch we just drew, one card after another
+        if (this.recentlyDrawnIds.length > 0) {
+            Renderer.animateDrawnCards(container, this.recentlyDrawnIds);
+            this.recentlyDrawnIds = [];
+        }
     },
 
     /**
@@ -174,12 +326,18 @@ const GameUI = {
      */
     updateUnoButton(me) {
         const unoBtn = document.getElementById('uno-button');
+        const state = this.gameState;
         const isMyTurn = me.isCurrentPlayer;
         const hasTwoCards = me.hand && me.hand.length === 2;
         const alreadyCalled = me.calledUno;
+        // With jump-in, a player may need to call UNO before playing out of turn
+        const canCallNow = isMyTurn || (state.settings && state.settings.jumpIn);
+        // With call-after-play, UNO can still be called on one card until someone catches you
+        const canCallLate = state.settings && state.settings.unoCallAfterPlay &&
+            state.unoCallWindow && state.unoCallWindow.playerId === me.id;
 
         // Can call UNO if it's my turn, I have 2 cards, and haven't called yet
-        unoBtn.disabled = !(isMyTurn && hasTwoCards && !alreadyCalled);
+        unoBtn.disabled = !((canCallNow && hasTwoCards && !alreadyCalled) || canCallLate);
 
         if (alreadyCalled && hasTwoCards) {
             unoBtn.textContent = 'UNO! ✓';
@@ -196,11 +354,15 @@ const GameUI = {
     handleOverlays(state, me) {
         const overlay = document.getElementById('game-overlay');
         const colorPicker = document.getElementById('color-picker');
+        const swapPicker = document.getElementById('swap-picker');
+        const challengePanel = document.getElementById('challenge-panel');
         const roundEndPanel = document.getElementById('round-end-panel');
         const gameOverPanel = document.getElementById('game-over-panel');
 
         // Hide all panels first
         colorPicker.classList.add('hidden');
+        swapPicker.classList.add('hidden');
+        challengePanel.classList.add('hidden');
         roundEndPanel.classList.add('hidden');
         gameOverPanel.classList.add('hidden');
 
@@ -211,6 +373,35 @@ const GameUI = {
             return;
         }
 
+        // Swap target picker (Seven-O 7 or swapping customizable wild)
+        if (state.awaitingSwapTarget && me.isCurrentPlayer) {
+            overlay.classList.remove('hidden');
+            swapPicker.classList.remove('hidden');
+            Renderer.renderSwapTargets(
+                document.getElementById('swap-targets'),
+                state.players,
+                this.playerId,
+                (targetId) => this.chooseSwapTarget(targetId)
+            );
+            return;
+        }
+
+        // Wild Draw Four challenge
+        if (state.phase === 'awaitingChallenge' && me.isCurrentPlayer && state.drawFourChallenge) {
+            overlay.classList.remove('hidden');
+            challengePanel.classList.remove('hidden');
+
+            // Anything stacked before the Wild Draw Four stays yours either way
+            const offender = state.players.find(p => p.id === state.drawFourChallenge.playerId);
+            const stackedBefore = state.stackedDrawCount - 4;
+            document.getElementById('challenge-text').textContent =
+                `${offender ? offender.name : 'A player'} played a Wild Draw Four (+${state.stackedDrawCount}). ` +
+                `Challenge it? If they could have played a matching color, they draw 4 instead` +
+                `${stackedBefore > 0 ? ` and you still owe ${stackedBefore}` : ''}; ` +
+                `if not, you draw ${state.stackedDrawCount + 2}.`;
+            return;
+        }
+
         // Round end
         if (state.phase === 'roundEnd') {
             overlay.classList.remove('hidden');
@@ -218,10 +409,15 @@ const GameUI = {
 
             const lastAction = state.lastAction;
             if (lastAction && lastAction.type === 'roundEnd') {
-                document.getElementById('round-winner').textContent =
-                    `${lastAction.winnerName} wins the round!`;
+                let roundText = lastAction.team != null
+                    ? `${lastAction.winnerName} wins the round for Team ${lastAction.team}!`
+                    : `${lastAction.winnerName} wins the round!`;
+                if (lastAction.eliminatedName) {
+                    roundText += ` ${lastAction.eliminatedName} is knocked out!`;
+                }
+                document.getElementById('round-winner').textContent = roundText;
                 document.getElementById('round-scores').innerHTML =
-                    Renderer.renderScoreTable(state.players, lastAction.roundScores);
+                    Renderer.renderScoreTable(state.players, lastAction.roundScores, state.settings.scoringMode);
             }
 
             // Show next round button for host
@@ -238,12 +434,20 @@ const GameUI = {
 
             const lastAction = state.lastAction;
             if (lastAction && lastAction.type === 'gameOver') {
-                document.getElementById('game-winner').textContent =
-                    `🏆 ${lastAction.winnerName} wins! 🏆`;
+                let winnerText = `🏆 ${lastAction.winnerName} wins! 🏆`;
+                if (state.settings.elimination) {
+                    winnerText = `🏆 ${lastAction.winnerName} is the last player standing! 🏆`;
+                } else if (state.settings.scoringMode === 'penalty') {
+                    winnerText = `🏆 ${lastAction.winnerName} wins with the lowest score! 🏆`;
+                }
+                document.getElementById('game-winner').textContent = winnerText;
                 document.getElementById('final-scores').innerHTML =
-                    Renderer.renderScoreTable(state.players);
+                    Renderer.renderScoreTable(state.players, null, state.settings.scoringMode);
             }
 
+            // Replay is saved as the game ends
+            document.getElementById('watch-replay-btn').classList.toggle('hidden', !state.replayId);
+
             // Show return button for host
             const isHost = state.hostId === this.playerId;
             document.getElementById('return-lobby-btn').classList.toggle('hidden', !isHost);
@@ -260,18 +464,88 @@ const GameUI = {
      * @param {object} action - Action data
      */
     showActionFeedback(action) {
-        const feedback = document.getElementById('action-feedback');
-        feedback.textContent = action.message;
-        feedback.classList.add('highlight');
-
-        setTimeout(() => {
-            feedback.classList.remove('highlight');
-        }, 2000);
-
-        // Also show as toast for important actions
+        // Show as toast for important actions; everything goes in the history list
         if (action.type === 'caughtUno' || action.type === 'callUno') {
             Renderer.showToast(action.message, action.type === 'caughtUno' ? 'warning' : 'success');
         }
+
+        if (action.type === 'autoPlay' || action.type === 'removed') {
+            Renderer.showToast(action.message, 'warning');
+        }
+
+        if (action.type === 'challenge' || action.type === 'swapHands') {
+            Renderer.showToast(action.message, action.type === 'challenge' ? 'warning' : 'info');
+        }
+
+        // Someone else jumped in, so play moved past us
+        if (action.jumpIn && action.playerId !== this.playerId) {
+            this.canPlayDrawnCard = false;
+            this.drawnCardId = null;
+            Renderer.showToast(action.message, 'info');
+        }
+    },
+
+    /**
+     * Fetch any history events newer than the ones shown
+     * A new game starts its log over, which clears the list.
+     */
+    syncHistory() {
+        const lastEventSeq = this.gameState.lastEventSeq;
+
+        if (lastEventSeq < this.historySeq) {
+            this.historySeq = 0;
+            document.getElementById('history-list').innerHTML = '';
+        }
+
+        if (lastEventSeq <= this.historySeq || this.historyLoading) return;
+
+        this.historyLoading = true;
+        this.socket.emit('getHistory', this.historySeq, (response) => {
+            this.historyLoading = false;
+            if (!response.success) return;
+
+            response.events
+                .filter(event => event.seq > this.historySeq)
+                .forEach(event => this.addHistoryEntry(event));
+
+            // More may have happened while the request was out
+            if (this.gameState && this.gameState.lastEventSeq > this.historySeq) {
+                this.syncHistory();
+            }
+        });
+    },
+
+    /**
+     * Append one event to the history list
+     * Cards you drew show their faces; everyone else only sees the count.
+     * @param {object} event - History event
+     */
+    addHistoryEntry(event) {
+        const list = document.getElementById('history-list');
+        const atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 10;
+
+        list.querySelectorAll('.latest').forEach(el => el.classList.remove('latest'));
+
+        const li = document.createElement('li');
+        li.className = `history-entry latest ${event.type}`;
+        li.title = new Date(event.timestamp).toLocaleTimeString();
+
+        const text = document.createElement('span');
+        // Turns played by the bot standing in for a disconnected player
+        text.textContent = event.autoPlayed ? `🤖 ${event.message}` : event.message;
+        li.appendChild(text);
+
+        (event.cards || [])
+            .filter(card => !card.hidden)
+            .forEach(card => li.appendChild(Renderer.createMiniFace(card)));
+
+        list.appendChild(li);
+        this.historySeq = event.seq;
+        Fairness.observeEvent(event);
+
+        if (atBottom) {
+            list.scrollTop = list.scrollHeight;
+        }
     },
 
     /**
@@ -292,6 +566,12 @@ const GameUI = {
             return;
         }
 
+        // Check if awaiting swap target
+        if (this.gameState.awaitingSwapTarget) {
+            Renderer.showToast("Choose who to swap with first!", 'error');
+            return;
+        }
+
         // For wild cards, don't send color yet (will be asked via overlay)
         const isWild = card.type === 'wild' || card.type === 'wildDrawFour';
 
@@ -306,6 +586,24 @@ const GameUI = {
         });
     },
 
+    /**
+     * Jump in with an identical card out of turn
+     * @param {object} card - Card to play
+     */
+    jumpIn(card) {
+        const topCard = this.gameState.topCard;
+
+        this.socket.emit('jumpIn', card.id, topCard ? topCard.id : null, (response) => {
+            if (!response.success) {
+                Renderer.showToast(response.error, 'error');
+            } else {
+                // Play has moved to us, so any drawn card offer is gone
+                this.canPlayDrawnCard = false;
+                this.drawnCardId = null;
+            }
+        });
+    },
+
     /**
      * Choose color for wild card
      * @param {string} color - Chosen color
@@ -318,6 +616,30 @@ const GameUI = {
         });
     },
 
+    /**
+     * Choose who to swap hands with (Seven-O)
+     * @param {string} targetId - Target player ID
+     */
+    chooseSwapTarget(targetId) {
+        this.socket.emit('chooseSwapTarget', targetId, (response) => {
+            if (!response.success) {
+                Renderer.showToast(response.error, 'error');
+            }
+        });
+    },
+
+    /**
+     * Challenge or accept a Wild Draw Four
+     * @param {boolean} challenge - True to challenge, false to accept
+     */
+    respondToChallenge(challenge) {
+        this.socket.emit('respondToChallenge', challenge, (response) => {
+            if (!response.success) {
+                Renderer.showToast(response.error, 'error');
+            }
+        });
+    },
+
     /**
      * Draw a card
      */
@@ -343,12 +665,14 @@ const GameUI = {
                 if (count > 1) {
                     Renderer.showToast(`Drew ${count} cards`, 'info');
                 }
+                this.recentlyDrawnIds = response.drawnCards.map(c => c.id);
 
-                // Check if can play the drawn card
-                if (response.canPlayDrawn && response.drawnCards.length === 1) {
+                // Check if can play the last drawn card
+                if (response.canPlayDrawn && count > 0) {
+                    const mustPlay = this.gameState.settings && this.gameState.settings.mustPlayDrawn;
                     this.canPlayDrawnCard = true;
-                    this.drawnCardId = response.drawnCards[0].id;
-                    Renderer.showToast('You can play the drawn card or keep it', 'info');
+                    this.drawnCardId = response.drawnCards[count - 1].id;
+                    Renderer.showToast(mustPlay ? 'You must play the drawn card' : 'You can play the drawn card or keep it', 'info');
                 } else {
                     this.canPlayDrawnCard = false;
                     this.drawnCardId = null;
@@ -395,6 +719,32 @@ const GameUI = {
         });
     },
 
+    /**
+     * Hand the host role to another player (host only)
+     * @param {string} targetId - Player to make host
+     */
+    transferHost(targetId) {
+        this.socket.emit('transferHost', targetId, (response) => {
+            if (!response.success) {
+                Renderer.showToast(response.error, 'error');
+            }
+        });
+    },
+
+    /**
+     * Kick a player; their seat is skipped for the rest of the game (host only)
+     * @param {object} player - Player to kick
+     */
+    kickPlayer(player) {
+        if (!confirm(`Kick ${player.name}? Their seat will be skipped for the rest of the game.`)) return;
+
+        this.socket.emit('kickPlayer', player.id, (response) => {
+            if (!response.success) {
+                Renderer.showToast(response.error, 'error');
+            }
+        });
+    },
+
     /**
      * Start next round
      */
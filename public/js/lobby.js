@@ -8,6 +8,7 @@ const LobbyUI = {
     socket: null,
     roomCode: null,
     isHost: false,
+    isSpectator: false,
     playerName: null,
     playerId: null,
 
@@ -49,6 +50,17 @@ const LobbyUI = {
             this.joinLobby(code, name);
         });
 
+        // Watch a lobby or game without taking a seat
+        document.getElementById('submit-watch-btn').addEventListener('click', () => {
+            const name = this.getPlayerName();
+            const code = document.getElementById('room-code').value.trim().toUpperCase();
+            if (!name || !code) {
+                this.showError('menu-error', 'Please enter your name and room code');
+                return;
+            }
+            this.spectateLobby(code, name);
+        });
+
         // Enter key on room code input
         document.getElementById('room-code').addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
@@ -80,10 +92,41 @@ const LobbyUI = {
             this.startGame();
         });
 
+        // Spectator takes an open seat
+        document.getElementById('take-seat-btn').addEventListener('click', () => {
+            this.takeSeat();
+        });
+
+        // Auto-balance teams (host only)
+        document.getElementById('auto-teams-btn').addEventListener('click', () => {
+            this.autoBalanceTeams();
+        });
+
+        // Add a bot seat (host only)
+        document.getElementById('add-bot-btn').addEventListener('click', () => {
+            this.addBot(document.getElementById('bot-difficulty').value);
+        });
+
         // Leave lobby
         document.getElementById('leave-lobby-btn').addEventListener('click', () => {
             this.leaveLobby();
         });
+
+        // House rule inputs (host only)
+        document.querySelectorAll('#settings-form [data-setting]').forEach(input => {
+            input.addEventListener('change', () => {
+                let value;
+                if (input.type === 'checkbox') {
+                    value = input.checked;
+                } else if (input.tagName === 'SELECT') {
+                    // Numeric choices (e.g. penalty cards) are marked data-numeric
+                    value = 'numeric' in input.dataset ? parseInt(input.value, 10) : input.value;
+                } else {
+                    value = parseInt(input.value, 10);
+                }
+                this.updateSettings({ [input.dataset.setting]: value });
+            });
+        });
     },
 
     /**
@@ -100,6 +143,20 @@ const LobbyUI = {
             Renderer.showToast(data.text, data.type || 'info');
         });
 
+        // Host changed (transferred, or the old host left)
+        this.socket.on('hostChanged', (data) => {
+            this.isHost = data.hostId === this.playerId;
+            Renderer.showToast(this.isHost ? 'You are now the host' : data.message, 'info');
+        });
+
+        // Kicked or banned by the host
+        this.socket.on('kicked', (data) => {
+            this.roomCode = null;
+            this.isHost = false;
+            App.showScreen('menu-screen');
+            this.showError('menu-error', data.message);
+        });
+
         // Returned to lobby from game
         this.socket.on('returnedToLobby', () => {
             App.showScreen('lobby-screen');
@@ -170,6 +227,28 @@ const LobbyUI = {
         });
     },
 
+    /**
+     * Watch a lobby, or a game in progress, without taking a seat
+     * @param {string} roomCode - Room code
+     * @param {string} playerName - Spectator's name
+     */
+    spectateLobby(roomCode, playerName) {
+        this.hideError('menu-error');
+
+        this.socket.emit('spectateLobby', roomCode, playerName, (response) => {
+            if (response.success) {
+                this.roomCode = response.roomCode;
+                this.playerId = response.playerId;
+                this.playerName = playerName;
+                this.isHost = false;
+                this.isSpectator = true;
+                App.showScreen('lobby-screen');
+            } else {
+                this.showError('menu-error', response.error);
+            }
+        });
+    },
+
     /**
      * Update lobby display
      * @param {object} data - Lobby data
@@ -177,6 +256,8 @@ const LobbyUI = {
     updateLobby(data) {
         this.roomCode = data.roomCode;
         this.isHost = data.hostId === this.playerId;
+        this.isSpectator = data.spectators.some(s => s.id === this.playerId);
+        ChatUI.updateMembers(data);
 
         // Update room code display
         document.getElementById('display-room-code').textContent = data.roomCode;
@@ -188,6 +269,8 @@ const LobbyUI = {
         const playerList = document.getElementById('player-list');
         playerList.innerHTML = '';
 
+        const teamMode = data.settings && data.settings.teamMode;
+
         data.players.forEach(player => {
             const li = document.createElement('li');
             if (!player.connected) {
@@ -201,15 +284,66 @@ const LobbyUI = {
             if (player.id === this.playerId) {
                 badges += '<span class="you-badge">YOU</span>';
             }
+            if (player.isBot) {
+                badges += `<span class="bot-badge">🤖 ${player.difficulty}</span>`;
+            }
+
+            // Team mode: pick your own team; the host can move anyone
+            let teamPicker = '';
+            if (teamMode) {
+                const canChange = this.isHost || player.id === this.playerId;
+                teamPicker = '<span class="team-picker">' + [1, 2].map(team => `
+                    <button class="team-btn team-${team} ${player.team === team ? 'selected' : ''}"
+                        data-team="${team}" ${canChange ? '' : 'disabled'}>T${team}</button>
+                `).join('') + '</span>';
+            }
 
             li.innerHTML = `
                 <span class="player-name">${player.name} ${badges}</span>
+                ${teamPicker}
+                ${this.canTransferHostTo(player) ? '<button class="make-host-btn" title="Make host">👑</button>' : ''}
+                ${this.canKick(player) ? `
+                    <button class="kick-btn" title="Kick">Kick</button>
+                    <button class="kick-btn ban-btn" title="Kick and ban from this room">Ban</button>
+                ` : ''}
+                ${player.isBot && this.isHost ? '<button class="remove-bot-btn" title="Remove bot">✕</button>' : ''}
                 <span class="player-status">${player.connected ? '🟢' : '🔴'}</span>
             `;
 
+            const makeHostBtn = li.querySelector('.make-host-btn');
+            if (makeHostBtn) {
+                makeHostBtn.addEventListener('click', () => this.transferHost(player.id));
+            }
+
+            li.querySelectorAll('.kick-btn').forEach(btn => {
+                const ban = btn.classList.contains('ban-btn');
+                btn.addEventListener('click', () => this.kickPlayer(player, ban));
+            });
+
+            const removeBtn = li.querySelector('.remove-bot-btn');
+            if (removeBtn) {
+                removeBtn.addEventListener('click', () => this.removeBot(player.id));
+            }
+
+            li.querySelectorAll('.team-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const team = parseInt(btn.dataset.team, 10);
+                    this.setTeam(player.id, player.team === team ? null : team);
+                });
+            });
+
             playerList.appendChild(li);
         });
 
+        this.renderSpectators(data);
+
+        document.getElementById('auto-teams-btn').classList.toggle('hidden', !(teamMode && this.isHost));
+        document.getElementById('add-bot-row').classList.toggle('hidden', !this.isHost);
+        document.getElementById('add-bot-btn').disabled = data.players.length >= 10;
+
+        // Update house rules
+        this.renderSettings(data.settings);
+
         // Show/hide start button based on host status
         const startBtn = document.getElementById('start-game-btn');
         const waitingText = document.getElementById('waiting-text');
@@ -223,14 +357,222 @@ const LobbyUI = {
         } else {
             startBtn.classList.add('hidden');
             waitingText.classList.remove('hidden');
+            waitingText.textContent = this.isSpectator
+                ? 'Spectating - take a seat to play the next game'
+                : 'Waiting for host to start...';
         }
     },
 
+    /**
+     * Render the spectator list, and the take-seat button for spectators
+     * @param {object} data - Lobby data
+     */
+    renderSpectators(data) {
+        const container = document.getElementById('spectator-list-container');
+        container.classList.toggle('hidden', data.spectators.length === 0);
+
+        document.getElementById('spectator-count').textContent = `(${data.spectators.length})`;
+
+        const list = document.getElementById('spectator-list');
+        list.innerHTML = '';
+
+        data.spectators.forEach(spectator => {
+            const li = document.createElement('li');
+
+            const name = document.createElement('span');
+            name.className = 'player-name';
+            name.textContent = `${spectator.name} `;
+            if (spectator.id === this.playerId) {
+                const badge = document.createElement('span');
+                badge.className = 'you-badge';
+                badge.textContent = 'YOU';
+                name.appendChild(badge);
+            }
+            li.appendChild(name);
+
+            if (this.canKick(spectator)) {
+                [false, true].forEach(ban => {
+                    const btn = document.createElement('button');
+                    btn.className = ban ? 'kick-btn ban-btn' : 'kick-btn';
+                    btn.title = ban ? 'Kick and ban from this room' : 'Kick';
+                    btn.textContent = ban ? 'Ban' : 'Kick';
+                    btn.addEventListener('click', () => this.kickPlayer(spectator, ban));
+                    li.appendChild(btn);
+                });
+            }
+
+            list.appendChild(li);
+        });
+
+        const takeSeatBtn = document.getElementById('take-seat-btn');
+        takeSeatBtn.classList.toggle('hidden', !this.isSpectator);
+        takeSeatBtn.disabled = data.status !== 'waiting' || data.players.length >= 10;
+    },
+
+    /**
+     * Move from spectating into an open seat
+     */
+    takeSeat() {
+        this.hideError('lobby-error');
+
+        this.socket.emit('takeSeat', (response) => {
+            if (!response.success) {
+                this.showError('lobby-error', response.error);
+            }
+        });
+    },
+
+    /**
+     * Fill the house rules form; only the host can edit it
+     * @param {object} settings - Lobby settings
+     */
+    renderSettings(settings) {
+        if (!settings) return;
+
+        document.querySelectorAll('#settings-form [data-setting]').forEach(input => {
+            const value = settings[input.dataset.setting];
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+            input.disabled = !this.isHost;
+        });
+    },
+
+    /**
+     * Change house rules (host only)
+     * @param {object} changes - Settings to change
+     */
+    updateSettings(changes) {
+        this.hideError('lobby-error');
+
+        this.socket.emit('updateSettings', changes, (response) => {
+            if (!response.success) {
+                this.showError('lobby-error', response.error);
+                // Restore the values the server still holds
+                this.socket.emit('getState', (state) => {
+                    if (state.success && state.lobby) {
+                        this.renderSettings(state.lobby.settings);
+                    }
+                });
+            }
+        });
+    },
+
+    /**
+     * Put a player on a team, or take them off it (team mode)
+     * @param {string} playerId - Player to move
+     * @param {number|null} team - Team number, or null to unassign
+     */
+    setTeam(playerId, team) {
+        this.hideError('lobby-error');
+
+        this.socket.emit('setTeam', playerId, team, (response) => {
+            if (!response.success) {
+                this.showError('lobby-error', response.error);
+            }
+        });
+    },
+
+    /**
+     * Split the lobby into even teams (host only)
+     */
+    autoBalanceTeams() {
+        this.hideError('lobby-error');
+
+        this.socket.emit('autoBalanceTeams', (response) => {
+            if (!response.success) {
+                this.showError('lobby-error', response.error);
+            }
+        });
+    },
+
+    /**
+     * Check if the host can hand the role to a player
+     * @param {object} player - Player from the lobby or game state
+     * @returns {boolean}
+     */
+    canTransferHostTo(player) {
+        return this.isHost && player.id !== this.playerId && !player.isBot && player.connected;
+    },
+
+    /**
+     * Check if the host can kick a player or spectator (bots are removed instead)
+     * @param {object} player - Player or spectator from the lobby
+     * @returns {boolean}
+     */
+    canKick(player) {
+        return this.isHost && player.id !== this.playerId && !player.isBot;
+    },
+
+    /**
+     * Kick a player or spectator, optionally banning them (host only)
+     * @param {object} player - Player or spectator to kick
+     * @param {boolean} ban - Also ban them from the room
+     */
+    kickPlayer(player, ban) {
+        if (!confirm(`${ban ? 'Ban' : 'Kick'} ${player.name}?`)) return;
+
+        this.hideError('lobby-error');
+
+        this.socket.emit(ban ? 'banPlayer' : 'kickPlayer', player.id, (response) => {
+            if (!response.success) {
+                this.showError('lobby-error', response.error);
+            }
+        });
+    },
+
+    /**
+     * Hand the host role to another player (host only)
+     * @param {string} playerId - Player to make host
+     */
+    transferHost(playerId) {
+        this.hideError('lobby-error');
+
+        this.socket.emit('transferHost', playerId, (response) => {
+            if (!response.success) {
+                this.showError('lobby-error', response.error);
+            }
+        });
+    },
+
+    /**
+     * Add a bot seat (host only)
+     * @param {string} difficulty - 'easy', 'medium' or 'hard'
+     */
+    addBot(difficulty) {
+        this.hideError('lobby-error');
+
+        this.socket.emit('addBot', difficulty, (response) => {
+            if (!response.success) {
+                this.showError('lobby-error', response.error);
+            }
+        });
+    },
+
+    /**
+     * Remove a bot seat (host only)
+     * @param {string} botId - ID of the bot to remove
+     */
+    removeBot(botId) {
+        this.hideError('lobby-error');
+
+        this.socket.emit('removeBot', botId, (response) => {
+            if (!response.success) {
+                this.showError('lobby-error', response.error);
+            }
+        });
+    },
+
     /**
      * Start the game (host only)
+     * A ?seed= in the page address picks the shuffle seed on a server in debug mode.
      */
     startGame() {
-        this.socket.emit('startGame', (response) => {
+        const seed = new URLSearchParams(location.search).get('seed');
+
+        this.socket.emit('startGame', seed ? { seed } : {}, (response) => {
             if (!response.success) {
                 this.showError('lobby-error', response.error);
             }
@@ -245,6 +587,7 @@ const LobbyUI = {
         this.socket.emit('leaveLobby', () => {
             this.roomCode = null;
             this.isHost = false;
+            this.isSpectator = false;
             App.showScreen('menu-screen');
         });
     },
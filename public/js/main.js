@@ -21,12 +21,16 @@ const App = {
             reconnectionDelay: 1000,
             reconnectionDelayMax: 5000,
             timeout: 60000,
-            forceNew: false
+            forceNew: false,
+            auth: { sessionId: this.getSessionId() }
         });
 
         // Initialize UI modules
         LobbyUI.init(this.socket);
         GameUI.init(this.socket);
+        ChatUI.init(this.socket);
+        ReplayUI.init(this.socket);
+        Fairness.init(this.socket);
 
         // Setup connection handlers
         this.setupConnectionHandlers();
@@ -38,6 +42,9 @@ const App = {
 
             // Check if we were in a game (for reconnection)
             this.checkPreviousSession();
+
+            // Opened from a replay link
+            ReplayUI.openFromHash();
         });
     },
 
@@ -74,6 +81,24 @@ const App = {
         });
     },
 
+    /**
+     * Get this browser's session ID, creating it on first use
+     * The server uses it to keep banned players out of a room.
+     * @returns {string}
+     */
+    getSessionId() {
+        try {
+            let id = localStorage.getItem('uno_session_id');
+            if (!id) {
+                id = Math.random().toString(36).slice(2) + Date.now().toString(36);
+                localStorage.setItem('uno_session_id', id);
+            }
+            return id;
+        } catch (e) {
+            return null;
+        }
+    },
+
     /**
      * Check for previous session and attempt to rejoin
      */
@@ -151,6 +176,9 @@ const App = {
             screen.classList.add('active');
         }
 
+        // Chat is only available inside a room (it stays up over a replay opened from one)
+        ChatUI.setInRoom(screenId !== 'menu-screen' && !!LobbyUI.roomCode);
+
         // Save session when entering lobby
         if (screenId === 'lobby-screen' && LobbyUI.roomCode) {
             this.saveSession(LobbyUI.roomCode, LobbyUI.playerName);
@@ -4,7 +4,65 @@
  * Handles visual representation of cards and game elements
  */
 
+const WILD_TYPES = ['wild', 'wildDrawFour', 'wildDrawTwo', 'wildDrawColor', 'wildShuffleHands', 'wildCustom'];
+const DRAW_TYPES = ['drawOne', 'drawTwo', 'wildDrawTwo', 'wildDrawFour', 'drawFive'];
+const STACK_LABELS = { drawOne: '+1', drawTwo: '+2', wildDrawTwo: 'W+2', drawFour: '+4', drawFive: '+5' };
+const REACTIONS = { clap: '👏', laugh: '😂', shock: '😱', uno: 'UNO!', niceStack: 'Nice stack' };
+const REACTION_DURATION_MS = 2500;
+
 const Renderer = {
+    // playerId -> { reaction, until } for bubbles still showing
+    activeReactions: {},
+
+    /**
+     * Check if a card type is a wild
+     * @param {string} type - Card type
+     * @returns {boolean}
+     */
+    isWildType(type) {
+        return WILD_TYPES.includes(type);
+    },
+
+    /**
+     * Get the symbol and label shown on a card face
+     * @param {object} cardData - Card face data
+     * @returns {{ valueDisplay: string, typeDisplay: string }}
+     */
+    getCardFaceText(cardData) {
+        switch (cardData.type) {
+            case 'number':
+                return { valueDisplay: cardData.value, typeDisplay: '' };
+            case 'skip':
+                return { valueDisplay: '⊘', typeDisplay: 'Skip' };
+            case 'reverse':
+                return { valueDisplay: '⟲', typeDisplay: 'Reverse' };
+            case 'drawTwo':
+                return { valueDisplay: '+2', typeDisplay: 'Draw Two' };
+            case 'wild':
+                return { valueDisplay: '★', typeDisplay: 'Wild' };
+            case 'wildDrawFour':
+                return { valueDisplay: '+4', typeDisplay: 'Wild' };
+            case 'drawOne':
+                return { valueDisplay: '+1', typeDisplay: 'Draw One' };
+            case 'flip':
+                return { valueDisplay: '⇅', typeDisplay: 'Flip' };
+            case 'wildDrawTwo':
+                return { valueDisplay: '+2', typeDisplay: 'Wild' };
+            case 'drawFive':
+                return { valueDisplay: '+5', typeDisplay: 'Draw Five' };
+            case 'skipEveryone':
+                return { valueDisplay: '⊘⊘', typeDisplay: 'Skip All' };
+            case 'wildDrawColor':
+                return { valueDisplay: '+?', typeDisplay: 'Wild Color' };
+            case 'wildShuffleHands':
+                return { valueDisplay: '⇄', typeDisplay: 'Shuffle' };
+            case 'wildCustom':
+                return { valueDisplay: '✎', typeDisplay: 'Custom' };
+            default:
+                return { valueDisplay: '', typeDisplay: '' };
+        }
+    },
+
     /**
      * Create a card DOM element
      * @param {object} cardData - Card data from server
@@ -25,8 +83,13 @@ const Renderer = {
         // Add color class
         if (cardData.color) {
             card.classList.add(cardData.color);
-        } else if (cardData.type === 'wild' || cardData.type === 'wildDrawFour') {
-            card.classList.add('wild');
+        } else if (this.isWildType(cardData.type)) {
+            card.classList.add(cardData.side === 'dark' ? 'wild-dark' : 'wild');
+        }
+
+        // UNO Flip: mark dark side faces
+        if (cardData.side === 'dark') {
+            card.classList.add('dark-side');
         }
 
         // Add playable state
@@ -37,34 +100,7 @@ const Renderer = {
         }
 
         // Card content
-        let valueDisplay = '';
-        let typeDisplay = '';
-
-        switch (cardData.type) {
-            case 'number':
-                valueDisplay = cardData.value;
-                break;
-            case 'skip':
-                valueDisplay = '⊘';
-                typeDisplay = 'Skip';
-                break;
-            case 'reverse':
-                valueDisplay = '⟲';
-                typeDisplay = 'Reverse';
-                break;
-            case 'drawTwo':
-                valueDisplay = '+2';
-                typeDisplay = 'Draw Two';
-                break;
-            case 'wild':
-                valueDisplay = '★';
-                typeDisplay = 'Wild';
-                break;
-            case 'wildDrawFour':
-                valueDisplay = '+4';
-                typeDisplay = 'Wild';
-                break;
-        }
+        const { valueDisplay, typeDisplay } = this.getCardFaceText(cardData);
 
         card.innerHTML = `
             <span class="card-value">${valueDisplay}</span>
@@ -74,6 +110,54 @@ const Renderer = {
         return card;
     },
 
+    /**
+     * Create a small card face (UNO Flip backs seen on opponents' cards)
+     * @param {object} face - Card face data
+     * @returns {HTMLElement}
+     */
+    createMiniFace(face) {
+        const mini = document.createElement('div');
+        mini.className = 'mini-card mini-face';
+
+        if (face.color) {
+            mini.classList.add(face.color);
+        } else if (this.isWildType(face.type)) {
+            mini.classList.add(face.side === 'dark' ? 'wild-dark' : 'wild');
+        }
+
+        mini.textContent = this.getCardFaceText(face).valueDisplay;
+        return mini;
+    },
+
+    /**
+     * Show the draw pile: a card back, or in UNO Flip the other face of its top card
+     * @param {HTMLElement} container - Draw pile container
+     * @param {object|null} topBack - Back face of the top draw pile card
+     */
+    updateDrawPile(container, topBack) {
+        const pileCard = container.querySelector('.card');
+        const newCard = topBack
+            ? this.createDiscardCard(topBack)
+            : this.createCardElement({ id: 'draw-pile', hidden: true });
+        container.replaceChild(newCard, pileCard);
+    },
+
+    /**
+     * Set the color picker buttons to the colors in play
+     * @param {NodeList} buttons - Color picker buttons
+     * @param {string} side - 'light' or 'dark' (UNO Flip)
+     */
+    updateColorButtons(buttons, side) {
+        const colors = side === 'dark'
+            ? ['pink', 'teal', 'orange', 'purple']
+            : ['red', 'yellow', 'green', 'blue'];
+
+        buttons.forEach((btn, i) => {
+            btn.dataset.color = colors[i];
+            btn.className = `color-btn color-${colors[i]}`;
+        });
+    },
+
     /**
      * Create a discard pile card (larger)
      * @param {object} cardData - Card data from server
@@ -91,22 +175,28 @@ const Renderer = {
      * @param {object[]} cards - Array of card data
      * @param {object} gameState - Current game state
      * @param {function} onCardClick - Click handler
+     * @param {function} onJumpIn - Click handler for out-of-turn jump-ins
      */
-    renderHand(container, cards, gameState, onCardClick) {
+    renderHand(container, cards, gameState, onCardClick, onJumpIn) {
         container.innerHTML = '';
 
         if (!cards || cards.length === 0) return;
 
         // Determine which cards are playable
         const isMyTurn = gameState.players.some(p => p.hand && p.isCurrentPlayer);
-        const awaitingColor = gameState.awaitingColorChoice;
+        const awaitingColor = gameState.awaitingColorChoice || gameState.awaitingSwapTarget;
 
         cards.forEach(cardData => {
             const playable = isMyTurn && !awaitingColor && this.isCardPlayable(cardData, gameState);
-            const cardEl = this.createCardElement(cardData, playable);
+            const jumpable = !isMyTurn && !awaitingColor && this.canJumpIn(cardData, gameState);
+            const cardEl = this.createCardElement(cardData, playable || jumpable);
 
             if (playable) {
                 cardEl.addEventListener('click', () => onCardClick(cardData));
+            } else if (jumpable) {
+                cardEl.classList.add('jump-in');
+                cardEl.insertAdjacentHTML('beforeend', '<span class="jump-in-label">Jump in!</span>');
+                cardEl.addEventListener('click', () => onJumpIn(cardData));
             }
 
             // Add draw animation for new cards
@@ -115,6 +205,21 @@ const Renderer = {
         });
     },
 
+    /**
+     * Stagger the draw animation across a batch of newly drawn cards
+     * @param {HTMLElement} container - Hand container
+     * @param {string[]} cardIds - IDs of the drawn cards, in draw order
+     */
+    animateDrawnCards(container, cardIds) {
+        cardIds.forEach((id, index) => {
+            const cardEl = container.querySelector(`[data-card-id="${id}"]`);
+            if (cardEl) {
+                cardEl.classList.add('just-drawn');
+                cardEl.style.animationDelay = `${index * 120}ms`;
+            }
+        });
+    },
+
     /**
      * Check if a card is playable based on game state
      * @param {object} card - Card data
@@ -125,13 +230,35 @@ const Renderer = {
         const topCard = state.topCard;
         if (!topCard) return true;
 
+        // Wild Draw Color: nothing can be played until the color is drawn
+        if (state.drawUntilColor) {
+            return false;
+        }
+
+        // After drawing, only the drawn card may be played when the rule demands it
+        if (state.pendingDrawnCardId && state.settings && state.settings.mustPlayDrawn) {
+            return card.id === state.pendingDrawnCardId;
+        }
+
+        // Without stacking, a pending draw must be taken
+        if (state.stackedDrawCount > 0 && state.settings && !state.settings.stacking) {
+            return false;
+        }
+
         // If there's an active stack
         if (state.stackedDrawCount > 0) {
-            if (state.stackType === 'drawTwo' && card.type === 'drawTwo') {
+            const cardStackType = card.type === 'wildDrawFour' ? 'drawFour' : card.type;
+            if (DRAW_TYPES.includes(card.type) && cardStackType === state.stackType) {
                 return true;
             }
-            if (state.stackType === 'drawFour' && card.type === 'wildDrawFour') {
-                return true;
+            // Cross-stacking: +4 on any +2, +2 on a +4 only in the chosen color
+            if (state.settings && state.settings.crossStacking) {
+                if (state.stackType === 'drawTwo' && card.type === 'wildDrawFour') {
+                    return true;
+                }
+                if (state.stackType === 'drawFour' && card.type === 'drawTwo' && card.color === state.currentColor) {
+                    return true;
+                }
             }
             // Reverse can deflect the stack
             if (card.type === 'reverse') {
@@ -145,7 +272,7 @@ const Renderer = {
         }
 
         // Wild cards are always playable
-        if (card.type === 'wild' || card.type === 'wildDrawFour') {
+        if (this.isWildType(card.type)) {
             return true;
         }
 
@@ -166,22 +293,55 @@ const Renderer = {
         return false;
     },
 
+    /**
+     * Check if a card can be played out of turn (jump-in)
+     * @param {object} card - Card data
+     * @param {object} state - Game state
+     * @returns {boolean}
+     */
+    canJumpIn(card, state) {
+        const topCard = state.topCard;
+        if (!topCard || !state.settings || !state.settings.jumpIn) return false;
+        if (state.phase !== 'playing') return false;
+        if (state.stackedDrawCount > 0 && !state.settings.stacking) return false;
+        if (state.drawUntilColor) return false;
+        if (this.isWildType(card.type)) return false;
+
+        return card.type === topCard.type &&
+            card.color === topCard.color &&
+            card.value === topCard.value;
+    },
+
     /**
      * Render opponents area
      * @param {HTMLElement} container - Opponents container
      * @param {object[]} players - All players
      * @param {string} myId - Current player's ID
      * @param {object} unoCallWindow - UNO catch window info
-     * @param {function} onCatchClick - Catch button handler
+     * @param {function|null} onCatchClick - Catch button handler, not given to spectators
+     * @param {string} hostId - Current host's ID
+     * @param {function|null} onMakeHostClick - Transfer host handler, only given to the host
+     * @param {function|null} onKickClick - Kick handler, only given to the host
      */
-    renderOpponents(container, players, myId, unoCallWindow, onCatchClick) {
+    renderOpponents(container, players, myId, unoCallWindow, onCatchClick, hostId = null, onMakeHostClick = null, onKickClick = null) {
         container.innerHTML = '';
 
+        const me = players.find(p => p.id === myId);
         const opponents = players.filter(p => p.id !== myId);
 
+        // Team mode: partner first, then the opposing team
+        if (me && me.team != null) {
+            opponents.sort((a, b) => (b.team === me.team) - (a.team === me.team));
+        }
+
         opponents.forEach(player => {
             const slot = document.createElement('div');
             slot.className = 'opponent-slot';
+            slot.dataset.playerId = player.id;
+
+            if (player.team != null) {
+                slot.classList.add(`team-${player.team}`);
+            }
 
             if (player.isCurrentPlayer) {
                 slot.classList.add('current-turn');
@@ -191,16 +351,40 @@ const Renderer = {
                 slot.classList.add('disconnected');
             }
 
+            // Elimination: knocked-out players stay at the table as spectators
+            if (player.eliminated) {
+                slot.classList.add('knocked-out');
+            }
+
             // Check if this player can be caught
-            const canCatch = unoCallWindow &&
+            // Official mode windows have no expiry; the server closes them
+            const canCatch = onCatchClick && unoCallWindow &&
                 unoCallWindow.playerId === player.id &&
-                Date.now() < unoCallWindow.expiresAt;
+                (unoCallWindow.expiresAt === null || Date.now() < unoCallWindow.expiresAt);
 
             if (canCatch) {
                 slot.classList.add('catching');
             }
 
             let badges = '';
+            if (player.id === hostId) {
+                badges += '<span class="host-badge">HOST</span>';
+            }
+            if (player.removed) {
+                badges += '<span class="knocked-out-badge">REMOVED</span>';
+            } else if (player.eliminated) {
+                badges += '<span class="knocked-out-badge">KNOCKED OUT</span>';
+            }
+            if (player.isBot) {
+                badges += `<span class="bot-badge" title="${player.difficulty} bot">🤖</span>`;
+            }
+            if (player.autoPlaying) {
+                badges += '<span class="auto-play-badge" title="Disconnected - a bot is playing this seat">AUTO-PLAYING</span>';
+            }
+            if (player.team != null) {
+                const label = me && player.team === me.team ? 'Partner' : `Team ${player.team}`;
+                badges += `<span class="team-badge team-${player.team}">${label}</span>`;
+            }
             if (player.calledUno && player.cardCount === 1) {
                 badges += '<span class="uno-called-badge">UNO!</span>';
             }
@@ -210,26 +394,117 @@ const Renderer = {
                 catchBtn = `<button class="catch-btn" data-player-id="${player.id}">CATCH!</button>`;
             }
 
+            const canMakeHost = onMakeHostClick && !player.isBot && player.connected;
+            const canKick = onKickClick && !player.isBot && !player.removed;
+
             slot.innerHTML = `
                 <span class="opponent-name" title="${player.name}">${player.name}</span>
                 <div class="opponent-cards">
-                    <div class="mini-card"></div>
+                    ${player.backs ? '' : '<div class="mini-card"></div>'}
                     <span class="opponent-card-count">×${player.cardCount}</span>
                 </div>
                 <span class="opponent-score">${player.score} pts</span>
                 ${badges}
                 ${catchBtn}
+                ${canMakeHost ? '<button class="make-host-btn" title="Make host">👑</button>' : ''}
+                ${canKick ? '<button class="kick-btn" title="Kick">Kick</button>' : ''}
             `;
 
+            // UNO Flip: show the other side of each of their cards
+            if (player.backs) {
+                const backs = document.createElement('div');
+                backs.className = 'opponent-backs';
+                player.backs.forEach(face => backs.appendChild(this.createMiniFace(face)));
+                slot.querySelector('.opponent-cards').prepend(backs);
+            }
+
             if (canCatch) {
                 const catchButton = slot.querySelector('.catch-btn');
                 catchButton.addEventListener('click', () => onCatchClick(player.id));
             }
 
+            if (canMakeHost) {
+                slot.querySelector('.make-host-btn').addEventListener('click', () => onMakeHostClick(player.id));
+            }
+
+            if (canKick) {
+                slot.querySelector('.kick-btn').addEventListener('click', () => onKickClick(player));
+            }
+
+            // Keep a reaction bubble up across re-renders until it expires
+            const active = this.activeReactions[player.id];
+            if (active && active.until > Date.now()) {
+                slot.appendChild(this.createReactionBubble(active.reaction, active.until - Date.now()));
+            }
+
             container.appendChild(slot);
         });
     },
 
+    /**
+     * Create a countdown ring for the turn timer
+     * The ring drains over the remaining time with a CSS transition.
+     * @param {number} remainingMs - Time left on the turn
+     * @param {number} totalMs - Full length of a turn
+     * @returns {HTMLElement}
+     */
+    createTurnTimer(remainingMs, totalMs) {
+        const radius = 16;
+        const circumference = 2 * Math.PI * radius;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'turn-timer';
+        wrapper.innerHTML = `
+            <svg viewBox="0 0 40 40">
+                <circle class="turn-timer-track" cx="20" cy="20" r="${radius}"></circle>
+                <circle class="turn-timer-ring" cx="20" cy="20" r="${radius}"
+                    stroke-dasharray="${circumference}"
+                    stroke-dashoffset="${circumference * (1 - remainingMs / totalMs)}"></circle>
+            </svg>
+            <span class="turn-timer-seconds">${Math.ceil(remainingMs / 1000)}</span>
+        `;
+
+        const ring = wrapper.querySelector('.turn-timer-ring');
+        const seconds = wrapper.querySelector('.turn-timer-seconds');
+        const deadline = Date.now() + remainingMs;
+
+        // Start draining on the next frame so the transition runs
+        requestAnimationFrame(() => {
+            ring.style.transition = `stroke-dashoffset ${remainingMs}ms linear`;
+            ring.style.strokeDashoffset = circumference;
+        });
+
+        const interval = setInterval(() => {
+            const left = Math.max(0, deadline - Date.now());
+            seconds.textContent = Math.ceil(left / 1000);
+            wrapper.classList.toggle('urgent', left <= 5000);
+            if (left === 0 || !wrapper.isConnected) {
+                clearInterval(interval);
+            }
+        }, 250);
+
+        return wrapper;
+    },
+
+    /**
+     * Render the Seven-O swap target buttons
+     * @param {HTMLElement} container - Button container
+     * @param {object[]} players - All players
+     * @param {string} myId - Current player's ID
+     * @param {function} onTargetClick - Target button handler
+     */
+    renderSwapTargets(container, players, myId, onTargetClick) {
+        container.innerHTML = '';
+
+        players.filter(p => p.id !== myId && !p.eliminated).forEach(player => {
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-secondary swap-target-btn';
+            btn.textContent = `${player.name} (${player.cardCount} card${player.cardCount === 1 ? '' : 's'})`;
+            btn.addEventListener('click', () => onTargetClick(player.id));
+            container.appendChild(btn);
+        });
+    },
+
     /**
      * Update the top card display
      * @param {HTMLElement} container - Top card container
@@ -255,6 +530,57 @@ const Renderer = {
         }
     },
 
+    /**
+     * Format the pending draw stack, e.g. "+8 (2×+2, 1×+4)" for a mixed stack
+     * @param {number} total - Total cards to draw
+     * @param {object} counts - Card counts in the stack, keyed by stack type
+     * @returns {string}
+     */
+    formatStack(total, counts) {
+        const parts = Object.entries(counts || {}).filter(([, count]) => count > 0);
+        if (parts.length < 2) {
+            return `+${total}`;
+        }
+        return `+${total} (${parts.map(([type, count]) => `${count}×${STACK_LABELS[type]}`).join(', ')})`;
+    },
+
+    /**
+     * Show a reaction bubble over a player's seat, or above the hand for your own
+     * @param {string} playerId - Player who reacted
+     * @param {string} reaction - Reaction ID
+     * @param {boolean} isMe - True if it was your reaction
+     */
+    showReaction(playerId, reaction, isMe) {
+        if (!REACTIONS[reaction]) return;
+
+        this.activeReactions[playerId] = { reaction, until: Date.now() + REACTION_DURATION_MS };
+
+        const target = isMe
+            ? document.querySelector('.game-bottom')
+            : document.querySelector(`.opponent-slot[data-player-id="${playerId}"]`);
+        if (!target) return;
+
+        const previous = target.querySelector(':scope > .reaction-bubble');
+        if (previous) {
+            previous.remove();
+        }
+        target.appendChild(this.createReactionBubble(reaction, REACTION_DURATION_MS));
+    },
+
+    /**
+     * Create a reaction bubble that removes itself
+     * @param {string} reaction - Reaction ID
+     * @param {number} durationMs - How long to show it
+     * @returns {HTMLElement}
+     */
+    createReactionBubble(reaction, durationMs) {
+        const bubble = document.createElement('span');
+        bubble.className = 'reaction-bubble';
+        bubble.textContent = REACTIONS[reaction];
+        setTimeout(() => bubble.remove(), durationMs);
+        return bubble;
+    },
+
     /**
      * Show toast notification
      * @param {string} message - Message to show
@@ -277,25 +603,88 @@ const Renderer = {
      * Render score table for round/game end
      * @param {object[]} players - Players with scores
      * @param {number[]} roundScores - Scores earned this round
+     * @param {string} scoringMode - 'standard' (highest first) or 'penalty' (lowest first)
      * @returns {string} HTML string
      */
-    renderScoreTable(players, roundScores = null) {
+    renderScoreTable(players, roundScores = null, scoringMode = 'standard') {
+        if (players.some(p => p.team != null)) {
+            return this.renderTeamScoreTable(players, roundScores, scoringMode);
+        }
+
         let html = '';
+        const roundClass = scoringMode === 'penalty' ? 'round-score penalty' : 'round-score';
 
-        // Sort by total score descending
-        const sorted = [...players].sort((a, b) => b.score - a.score);
+        // Sort best total first (lowest in penalty scoring)
+        const sorted = [...players].sort((a, b) => this.compareScores(a.score, b.score, scoringMode));
 
         sorted.forEach((player, index) => {
             const roundScore = roundScores ? roundScores[players.findIndex(p => p.id === player.id)] : 0;
             html += `
-                <div class="score-row">
-                    <span class="player-name">${index + 1}. ${player.name}</span>
-                    ${roundScores ? `<span class="round-score">+${roundScore}</span>` : ''}
+                <div class="score-row ${player.eliminated ? 'knocked-out' : ''}">
+                    <span class="player-name">${index + 1}. ${player.name}${player.eliminated ? ' (out)' : ''}</span>
+                    ${roundScores ? `<span class="${roundClass}">+${roundScore}</span>` : ''}
                     <span class="total-score">${player.score} pts</span>
                 </div>
             `;
         });
 
+        return html;
+    },
+
+    /**
+     * Compare two totals, best first
+     * @param {number} a - Score
+     * @param {number} b - Score
+     * @param {string} scoringMode - 'standard' or 'penalty'
+     * @returns {number}
+     */
+    compareScores(a, b, scoringMode) {
+        return scoringMode === 'penalty' ? a - b : b - a;
+    },
+
+    /**
+     * Render score table grouped by team (team mode)
+     * @param {object[]} players - Players with team and score
+     * @param {number[]} roundScores - Scores earned this round
+     * @param {string} scoringMode - 'standard' or 'penalty'
+     * @returns {string} HTML string
+     */
+    renderTeamScoreTable(players, roundScores = null, scoringMode = 'standard') {
+        const roundClass = scoringMode === 'penalty' ? 'round-score penalty' : 'round-score';
+        const teams = {};
+        players.forEach((player, index) => {
+            if (!teams[player.team]) {
+                teams[player.team] = { team: player.team, score: 0, roundScore: 0, members: [] };
+            }
+            const team = teams[player.team];
+            team.score += player.score;
+            team.roundScore += roundScores ? roundScores[index] : 0;
+            team.members.push({ player, roundScore: roundScores ? roundScores[index] : 0 });
+        });
+
+        // Sort best team total first
+        const sorted = Object.values(teams).sort((a, b) => this.compareScores(a.score, b.score, scoringMode));
+
+        let html = '';
+        sorted.forEach((team, index) => {
+            html += `
+                <div class="score-row team-row team-${team.team}">
+                    <span class="player-name">${index + 1}. Team ${team.team}</span>
+                    ${roundScores ? `<span class="${roundClass}">+${team.roundScore}</span>` : ''}
+                    <span class="total-score">${team.score} pts</span>
+                </div>
+            `;
+            team.members.forEach(({ player, roundScore }) => {
+                html += `
+                    <div class="score-row team-member-row">
+                        <span class="player-name">${player.name}</span>
+                        ${roundScores ? `<span class="${roundClass}">+${roundScore}</span>` : ''}
+                        <span class="total-score">${player.score} pts</span>
+                    </div>
+                `;
+            });
+        });
+
         return html;
     }
 };
@@ -0,0 +1,231 @@
+/**
+ * replay.js - Replay viewer
+ *
+ * Steps through a finished game move by move with every hand face up.
+ * The server rebuilds each step from the game's seed and moves; the
+ * viewer only asks for the step it wants to show.
+ */
+
+// Time between moves while playing
+const REPLAY_STEP_MS = 900;
+
+const ReplayUI = {
+    socket: null,
+    replayId: null,
+    total: 0,
+    index: 0,
+    requestedIndex: null,
+    playing: false,
+    playTimer: null,
+    returnScreen: 'menu-screen',
+
+    /**
+     * Initialize replay UI with socket connection
+     * @param {Socket} socket - Socket.IO socket
+     */
+    init(socket) {
+        this.socket = socket;
+        this.bindEvents();
+    },
+
+    /**
+     * Bind DOM events
+     */
+    bindEvents() {
+        document.getElementById('replay-close-btn').addEventListener('click', () => {
+            this.close();
+        });
+
+        document.getElementById('replay-link-btn').addEventListener('click', () => {
+            navigator.clipboard.writeText(this.getLink()).then(() => {
+                Renderer.showToast('Replay link copied!', 'success');
+            });
+        });
+
+        document.getElementById('replay-play-btn').addEventListener('click', () => {
+            if (this.playing) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        });
+
+        document.getElementById('replay-back-btn').addEventListener('click', () => {
+            this.pause();
+            this.showFrame(this.index - 1);
+        });
+
+        document.getElementById('replay-forward-btn').addEventListener('click', () => {
+            this.pause();
+            this.showFrame(this.index + 1);
+        });
+
+        document.getElementById('replay-scrubber').addEventListener('input', (e) => {
+            this.pause();
+            this.showFrame(parseInt(e.target.value, 10));
+        });
+    },
+
+    /**
+     * Open a replay
+     * @param {string} replayId - Replay ID
+     */
+    open(replayId) {
+        this.socket.emit('getReplay', replayId, (response) => {
+            if (!response.success) {
+                Renderer.showToast(response.error, 'error');
+                return;
+            }
+
+            const replay = response.replay;
+            this.replayId = replay.id;
+            this.total = replay.total;
+            this.index = 0;
+
+            const active = document.querySelector('.screen.active');
+            if (active && active.id !== 'replay-screen') {
+                this.returnScreen = active.id;
+            }
+
+            // The seed lets a debug server deal the same game again
+            const finished = new Date(replay.finishedAt).toLocaleString();
+            document.getElementById('replay-title').textContent =
+                `${replay.winnerName ? `${replay.winnerName} won · ` : ''}${finished} · seed ${replay.seed}`;
+
+            const scrubber = document.getElementById('replay-scrubber');
+            scrubber.max = this.total;
+            scrubber.value = 0;
+
+            history.replaceState(null, '', `#replay=${replay.id}`);
+            App.showScreen('replay-screen');
+            this.showFrame(0);
+        });
+    },
+
+    /**
+     * Leave the viewer and go back to where it was opened from
+     */
+    close() {
+        this.pause();
+        this.replayId = null;
+        history.replaceState(null, '', location.pathname + location.search);
+        App.showScreen(this.returnScreen);
+    },
+
+    /**
+     * Link that opens this replay
+     * @returns {string}
+     */
+    getLink() {
+        return `${location.origin}${location.pathname}#replay=${this.replayId}`;
+    },
+
+    /**
+     * Play from the current move (or from the start, at the end)
+     */
+    play() {
+        if (this.index >= this.total) {
+            this.index = 0;
+        }
+        this.playing = true;
+        document.getElementById('replay-play-btn').textContent = '⏸';
+        this.showFrame(this.index);
+    },
+
+    /**
+     * Stop playing
+     */
+    pause() {
+        this.playing = false;
+        clearTimeout(this.playTimer);
+        document.getElementById('replay-play-btn').textContent = '▶';
+    },
+
+    /**
+     * Fetch and show the game after some number of moves
+     * Answers to older requests are dropped, so scrubbing fast is fine.
+     * @param {number} index - Number of moves applied
+     */
+    showFrame(index) {
+        if (!this.replayId) return;
+
+        const target = Math.max(0, Math.min(this.total, index));
+        this.requestedIndex = target;
+
+        this.socket.emit('getReplayFrame', this.replayId, target, (response) => {
+            if (target !== this.requestedIndex) return;
+
+            if (!response.success) {
+                this.pause();
+                Renderer.showToast(response.error, 'error');
+                return;
+            }
+
+            this.index = target;
+            this.render(response.frame);
+
+            if (this.playing) {
+                if (this.index < this.total) {
+                    this.playTimer = setTimeout(() => this.showFrame(this.index + 1), REPLAY_STEP_MS);
+                } else {
+                    this.pause();
+                }
+            }
+        });
+    },
+
+    /**
+     * Render one step
+     * @param {object} frame - Frame from the server
+     */
+    render(frame) {
+        document.getElementById('replay-scrubber').value = frame.index;
+        document.getElementById('replay-step').textContent = `Move ${frame.index} / ${frame.total}`;
+        document.getElementById('replay-round').textContent = `Round ${frame.roundNumber}`;
+        document.getElementById('replay-message').textContent = frame.lastAction
+            ? frame.lastAction.message
+            : 'Before the first deal';
+
+        Renderer.updateTopCard(document.getElementById('replay-top-card'), frame.topCard);
+        Renderer.updateColorIndicator(document.getElementById('replay-color'), frame.currentColor);
+        document.getElementById('replay-draw-count').textContent = `${frame.drawPileCount} in draw pile`;
+
+        const turnInProgress = frame.phase === 'playing' || frame.phase === 'awaitingChallenge';
+        const list = document.getElementById('replay-players');
+        list.innerHTML = '';
+
+        frame.players.forEach((player, index) => {
+            const row = document.createElement('div');
+            row.className = 'replay-player';
+            row.classList.toggle('current', turnInProgress && index === frame.currentPlayerIndex);
+            row.classList.toggle('eliminated', player.eliminated);
+
+            const info = document.createElement('div');
+            info.className = 'replay-player-info';
+            const team = player.team != null ? ` (Team ${player.team})` : '';
+            const uno = player.calledUno ? ' · UNO!' : '';
+            info.textContent = `${player.name}${team} · ${player.score} pts · ${player.hand.length} cards${uno}`;
+            row.appendChild(info);
+
+            const hand = document.createElement('div');
+            hand.className = 'replay-hand';
+            player.hand.forEach(card => hand.appendChild(Renderer.createMiniFace(card)));
+            row.appendChild(hand);
+
+            list.appendChild(row);
+        });
+    },
+
+    /**
+     * Open the replay named in the page address (#replay=<id>), if any
+     */
+    openFromHash() {
+        const match = location.hash.match(/^#replay=([0-9a-f-]+)$/);
+        if (match) {
+            this.open(match[1]);
+        }
+    }
+};
+
+// Export for use in other modules
+window.ReplayUI = ReplayUI;
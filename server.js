@@ -9,21 +9,24 @@ const express = require('express');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
+const { v4: uuidv4 } = require('uuid');
 
 const LobbyManager = require('./lobby/LobbyManager');
+const ChatManager = require('./lobby/ChatManager');
+const { saveSnapshot, loadSnapshot } = require('./lobby/SnapshotStore');
+const { isValidReplayId, saveReplay, loadReplay } = require('./lobby/ReplayStore');
 const {
     createGameState,
-    startRound,
-    playCard,
-    chooseColor,
-    playerDrawCards,
-    skipPlayDrawnCard,
-    callUno,
-    catchUno,
-    startNextRound,
     handleDisconnect,
-    getStateForPlayer
+    startAutoPlay,
+    getStateForPlayer,
+    getStateForSpectator
 } = require('./game/GameState');
+const { startTurnTimer } = require('./game/GameRules');
+const { getEventsForPlayer } = require('./game/EventLog');
+const { applyMove, createReplay, createReplayCursor, advanceReplayCursor } = require('./game/Replay');
+const { createRng, randomFrom } = require('./game/Random');
+const { decideBotAction, getCatchDelay, getThinkingDelay } = require('./game/Bot');
 
 // Initialize Express app
 const app = express();
@@ -48,126 +51,1039 @@ const io = new Server(server, {
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Debug mode (DEBUG=1): the host may choose a game's shuffle seed, and
+// DEBUG_SEED makes room codes repeat from run to run
+const DEBUG = process.env.DEBUG === '1' || process.env.DEBUG === 'true';
+
+// Longest seed a host may choose
+const MAX_SEED_LENGTH = 64;
+
 // Initialize lobby manager
-const lobbyManager = new LobbyManager();
+const lobbyManager = new LobbyManager(
+    DEBUG && process.env.DEBUG_SEED ? randomFrom(createRng(process.env.DEBUG_SEED)) : undefined
+);
+
+// Initialize chat; CHAT_FILTER_WORDS (comma-separated) replaces the built-in word filter
+const chatManager = new ChatManager(
+    process.env.CHAT_FILTER_WORDS !== undefined ? process.env.CHAT_FILTER_WORDS.split(',') : undefined
+);
+
+// Game events that are also posted to the chat
+const CHAT_EVENT_TYPES = ['caughtUno', 'falseCatch', 'challenge', 'swapHands', 'roundEnd', 'gameOver', 'autoPlay'];
+
+// Map of roomCode -> pending turn timeout
+const turnTimers = new Map();
+
+// Map of roomCode -> pending UNO catch window expiry
+const unoWindowTimers = new Map();
+
+// Map of roomCode -> pending bot move
+const botTimers = new Map();
+
+// Map of roomCode -> { window, timers } bots reacting to an uncalled UNO
+const botCatchTimers = new Map();
+
+// How long a disconnected player's seat waits before a bot plays it
+const DISCONNECT_GRACE_MS = 30000;
+
+// How long a disconnected host keeps the role before the next player is promoted
+const HOST_GRACE_MS = 30000;
+
+// Map of roomCode -> pending host migration
+const hostTimers = new Map();
+
+// Map of game player -> pending auto-play takeover (keyed by seat, since reconnecting changes the ID)
+const disconnectTimers = new Map();
+
+// Where lobbies are saved so games survive a restart (set SNAPSHOT_FILE to '' to turn this off)
+const SNAPSHOT_FILE = process.env.SNAPSHOT_FILE !== undefined
+    ? process.env.SNAPSHOT_FILE
+    : path.join(__dirname, 'data', 'snapshot.json');
+
+// How often lobbies are saved, on top of saving at shutdown
+const SNAPSHOT_INTERVAL_MS = 30000;
+
+// Where finished games are saved as replays (set REPLAY_DIR to '' to turn this off)
+const REPLAY_DIR = process.env.REPLAY_DIR !== undefined
+    ? process.env.REPLAY_DIR
+    : path.join(__dirname, 'data', 'replays');
+
+// Map of replayId -> { replay, cursor } for recently viewed or saved replays
+// (the cursor rebuilds frames as far as anyone has stepped through the replay)
+const replayCache = new Map();
+const REPLAY_CACHE_SIZE = 10;
+
+// Moves replayed at a time when rebuilding frames, between turns of the event loop
+const REPLAY_BATCH_SIZE = 50;
+
+// Cleanup old lobbies every 30 minutes
+setInterval(() => {
+    lobbyManager.cleanup();
+    chatManager.cleanup(roomCode => lobbyManager.getLobby(roomCode) !== null);
+}, 1800000);
+
+// Save lobbies periodically, and once more on shutdown
+setInterval(saveLobbies, SNAPSHOT_INTERVAL_MS);
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        saveLobbies();
+        process.exit(0);
+    });
+}
+
+/**
+ * Save every lobby and game to the snapshot file
+ */
+function saveLobbies() {
+    if (!SNAPSHOT_FILE) return;
+
+    try {
+        saveSnapshot(SNAPSHOT_FILE, lobbyManager.toSnapshot());
+    } catch (err) {
+        console.error('Could not save lobbies:', err.message);
+    }
+}
+
+/**
+ * Restore the lobbies saved by the last run
+ * Players rejoin their seats by name. Anyone who hasn't come back after the
+ * grace period is auto-played, and the host role moves on as usual.
+ */
+function restoreLobbies() {
+    if (!SNAPSHOT_FILE) return;
+
+    const snapshot = loadSnapshot(SNAPSHOT_FILE);
+    if (!snapshot) return;
+
+    const restored = lobbyManager.restoreSnapshot(snapshot);
+
+    for (const lobby of restored) {
+        const state = lobby.gameState;
+        if (state) {
+            // The clock stopped while the server was down
+            if (state.turnDeadline) {
+                startTurnTimer(state);
+            }
+
+            for (const player of state.players) {
+                if (!player.isBot && !player.eliminated) {
+                    scheduleAutoPlay(lobby, player.id);
+                }
+            }
+        }
+
+        scheduleHostMigration(lobby);
+    }
+
+    console.log(`Restored ${restored.length} lobbies from ${SNAPSHOT_FILE}`);
+}
+
+/**
+ * Send a game action to everyone in a room
+ * Notable events also go into the room's chat as system messages.
+ * @param {string} roomCode - Room code
+ * @param {object} action - Action (a game state's lastAction)
+ */
+function emitAction(roomCode, action) {
+    io.to(roomCode).emit('action', action);
+
+    if (CHAT_EVENT_TYPES.includes(action.type)) {
+        postSystemMessage(roomCode, action.message);
+    }
+}
+
+/**
+ * Post a system message to a room's chat
+ * @param {string} roomCode - Room code
+ * @param {string} text - Message text
+ */
+function postSystemMessage(roomCode, text) {
+    io.to(roomCode).emit('chatMessage', chatManager.addSystemMessage(roomCode, text));
+}
+
+/**
+ * Broadcast game state to all players in a room
+ * Each player receives their own view with hidden opponent hands
+ * @param {string} roomCode - Room code
+ */
+function broadcastGameState(roomCode) {
+    const lobby = lobbyManager.getLobby(roomCode);
+    if (!lobby || !lobby.gameState) return;
+
+    const state = lobby.gameState;
+
+    if (state.phase === 'gameOver' && !state.replayId) {
+        saveGameReplay(state);
+    }
+
+    for (const player of lobby.players) {
+        if (player.isBot || player.kicked) continue;
+        const playerState = getStateForPlayer(state, player.id);
+        io.to(player.id).emit('gameState', playerState);
+    }
+
+    if (lobby.spectators.length > 0) {
+        const spectatorState = getStateForSpectator(state);
+        for (const spectator of lobby.spectators) {
+            io.to(spectator.id).emit('gameState', spectatorState);
+        }
+    }
+
+    scheduleTurnTimer(lobby);
+    scheduleUnoWindowTimer(lobby);
+    scheduleBotTurn(lobby);
+    scheduleBotCatches(lobby);
+}
+
+/**
+ * Save a finished game as a replay
+ * The replay ID goes out with the final game state.
+ * @param {object} state - Game state in the gameOver phase
+ */
+function saveGameReplay(state) {
+    if (!REPLAY_DIR) return;
+
+    const replay = createReplay(state, uuidv4());
+    try {
+        saveReplay(REPLAY_DIR, replay);
+    } catch (err) {
+        console.error('Could not save replay:', err.message);
+        return;
+    }
+
+    state.replayId = replay.id;
+    cacheReplay(replay);
+    console.log(`Saved replay ${replay.id} of lobby ${state.roomCode}`);
+}
+
+/**
+ * Keep a replay in memory, dropping the least recently used one when full
+ * @param {object} replay - Replay
+ * @param {object|null} cursor - Its frame cursor, if frames were already rebuilt
+ * @returns {{ replay: object, cursor: object|null }} Cache entry
+ */
+function cacheReplay(replay, cursor = null) {
+    const entry = { replay, cursor };
+    replayCache.delete(replay.id);
+    replayCache.set(replay.id, entry);
+    if (replayCache.size > REPLAY_CACHE_SIZE) {
+        replayCache.delete(replayCache.keys().next().value);
+    }
+    return entry;
+}
+
+/**
+ * Rebuild a replay's frames up to one of them
+ * Moves are replayed a batch at a time, so other sockets are served in between.
+ * @param {{ replay: object, cursor: object|null }} entry - Cache entry (will be mutated)
+ * @param {number} index - Frame needed
+ * @param {function(Error|null): void} done - Called once the frame is built
+ */
+function buildReplayFrames(entry, index, done) {
+    try {
+        if (!entry.cursor) {
+            entry.cursor = createReplayCursor(entry.replay);
+        }
+        const needed = index + 1 - entry.cursor.frames.length;
+        if (needed > 0) {
+            advanceReplayCursor(entry.cursor, Math.min(needed, REPLAY_BATCH_SIZE));
+        }
+    } catch (err) {
+        entry.cursor = null;
+        done(err);
+        return;
+    }
+
+    if (entry.cursor.frames.length > index) {
+        done(null);
+    } else {
+        setImmediate(() => buildReplayFrames(entry, index, done));
+    }
+}
+
+/**
+ * Find a replay in memory or on disk
+ * @param {string} replayId - Replay ID
+ * @returns {{ replay: object, cursor: object|null }|null} Cache entry, or null if there is no such replay
+ */
+function findReplay(replayId) {
+    if (!REPLAY_DIR || !isValidReplayId(replayId)) {
+        return null;
+    }
+
+    const cached = replayCache.get(replayId);
+    if (cached) {
+        return cacheReplay(cached.replay, cached.cursor);
+    }
+
+    const replay = loadReplay(REPLAY_DIR, replayId);
+    return replay ? cacheReplay(replay) : null;
+}
+
+/**
+ * Check if anyone is left to watch the bots play
+ * @param {object} lobby - Lobby object
+ * @returns {boolean}
+ */
+function hasConnectedHumans(lobby) {
+    return lobby.players.some(p => !p.isBot && p.connected);
+}
+
+/**
+ * Hand a disconnected player's seat to a bot once the grace period runs out
+ * @param {object} lobby - Lobby object
+ * @param {string} playerId - ID of disconnected player
+ */
+function scheduleAutoPlay(lobby, playerId) {
+    const state = lobby.gameState;
+    const player = state.players.find(p => p.id === playerId);
+    if (!player) return;
+
+    clearTimeout(disconnectTimers.get(player));
+
+    const timer = setTimeout(() => {
+        disconnectTimers.delete(player);
+
+        if (lobby.gameState !== state) return;
+
+        const result = startAutoPlay(state, player.id);
+        if (!result.success) return;
+
+        broadcastGameState(lobby.roomCode);
+        emitAction(lobby.roomCode, state.lastAction);
+    }, DISCONNECT_GRACE_MS);
+
+    disconnectTimers.set(player, timer);
+}
+
+/**
+ * Promote a new host if the disconnected host hasn't returned in time
+ * @param {object} lobby - Lobby object
+ */
+function scheduleHostMigration(lobby) {
+    clearTimeout(hostTimers.get(lobby.roomCode));
+
+    const timer = setTimeout(() => {
+        hostTimers.delete(lobby.roomCode);
+
+        const result = lobbyManager.migrateHost(lobby.roomCode);
+        if (result.success) {
+            announceHostChange(lobby);
+        }
+    }, HOST_GRACE_MS);
+
+    hostTimers.set(lobby.roomCode, timer);
+}
+
+/**
+ * Follow up on the host leaving
+ * Outside a game the lobby has already picked a new host; mid-game the
+ * seat is held, so a new host is only promoted after the grace period.
+ * @param {object} result - Result of LobbyManager.leaveLobby
+ */
+function handleHostLeft(result) {
+    if (!result.wasHost || !result.lobby) return;
+
+    if (result.lobby.status === 'playing') {
+        scheduleHostMigration(result.lobby);
+    } else {
+        announceHostChange(result.lobby);
+    }
+}
+
+/**
+ * Kick or ban a player or spectator for the host and tell everyone
+ * Mid-game the player's seat is taken out of play.
+ * @param {Socket} socket - Host's socket
+ * @param {string} playerId - Player or spectator to remove
+ * @param {boolean} ban - Also ban them from the room
+ * @param {function} callback - Socket callback
+ */
+function removePlayer(socket, playerId, ban, callback) {
+    const lobby = lobbyManager.getLobbyByPlayer(socket.id);
+
+    if (!lobby) {
+        callback({ success: false, error: 'Not in a lobby' });
+        return;
+    }
+
+    const result = ban
+        ? lobbyManager.banPlayer(lobby.roomCode, socket.id, playerId)
+        : lobbyManager.kickPlayer(lobby.roomCode, socket.id, playerId);
+
+    if (!result.success) {
+        callback({ success: false, error: result.error });
+        return;
+    }
+
+    callback({ success: true });
+
+    io.to(playerId).emit('kicked', {
+        banned: ban,
+        message: ban ? 'You have been banned from this room' : 'You have been kicked from the room'
+    });
+    io.in(playerId).socketsLeave(lobby.roomCode);
+
+    // Spectators have no seat to give up
+    if (lobby.gameState && lobby.gameState.players.some(p => p.id === playerId)) {
+        applyMove(lobby.gameState, 'removeFromGame', playerId);
+        broadcastGameState(lobby.roomCode);
+        emitAction(lobby.roomCode, lobby.gameState.lastAction);
+    }
+
+    broadcastLobbyState(lobby);
+
+    const text = `${result.player.name} was ${ban ? 'banned' : 'kicked'} by the host`;
+    io.to(lobby.roomCode).emit('message', { type: 'warning', text });
+    postSystemMessage(lobby.roomCode, text);
+}
+
+/**
+ * Tell the room who the host is now
+ * @param {object} lobby - Lobby object
+ */
+function announceHostChange(lobby) {
+    const host = lobby.players.find(p => p.id === lobby.hostId);
+    if (!host) return;
+
+    io.to(lobby.roomCode).emit('hostChanged', {
+        hostId: host.id,
+        hostName: host.name,
+        message: `${host.name} is now the host`
+    });
+    postSystemMessage(lobby.roomCode, `${host.name} is now the host`);
+
+    broadcastLobbyState(lobby);
+    broadcastGameState(lobby.roomCode);
+}
+
+/**
+ * Let a bot take its turn after a short thinking delay
+ * Covers bot seats and disconnected players' seats on auto-play.
+ * The bot acts through the same GameState functions as a human player.
+ * @param {object} lobby - Lobby object
+ */
+function scheduleBotTurn(lobby) {
+    clearTimeout(botTimers.get(lobby.roomCode));
+    botTimers.delete(lobby.roomCode);
+
+    const state = lobby.gameState;
+    if (!state || (state.phase !== 'playing' && state.phase !== 'awaitingChallenge')) return;
+
+    const bot = state.players[state.currentPlayerIndex];
+    if (!bot || !(bot.isBot || bot.autoPlay) || !hasConnectedHumans(lobby)) return;
+
+    const timer = setTimeout(() => {
+        botTimers.delete(lobby.roomCode);
+
+        // The player may have reconnected while the bot was thinking
+        if (lobby.gameState !== state || !(bot.isBot || bot.autoPlay)) return;
+
+        const action = decideBotAction(state, bot.id);
+        if (!action) return;
+
+        let result = runBotAction(lobby, bot, action);
+        if (!result.success) {
+            // Should not happen, but never let a bot stall the game:
+            // expire its turn so the server makes the default move
+            console.error(`Bot ${bot.name} failed to ${action.type}: ${result.error}`);
+            state.turnDeadline = Date.now();
+            result = applyMove(state, 'handleTurnTimeout');
+            if (!result.success) return;
+        }
+
+        if (bot.autoPlay && state.lastAction) {
+            state.lastAction.autoPlayed = true;
+        }
+
+        broadcastGameState(lobby.roomCode);
+
+        if (state.lastAction) {
+            emitAction(lobby.roomCode, state.lastAction);
+        }
+    }, getThinkingDelay());
+
+    botTimers.set(lobby.roomCode, timer);
+}
+
+/**
+ * Carry out a bot's decision
+ * @param {object} lobby - Lobby object
+ * @param {object} bot - Bot player
+ * @param {object} action - Action from decideBotAction
+ * @returns {{ success: boolean, state: object, error: string|null }}
+ */
+function runBotAction(lobby, bot, action) {
+    const state = lobby.gameState;
+
+    switch (action.type) {
+        case 'playCard':
+            if (action.callUno && applyMove(state, 'callUno', bot.id).success) {
+                emitAction(lobby.roomCode, { ...state.lastAction, autoPlayed: bot.autoPlay });
+            }
+            return applyMove(state, 'playCard', bot.id, action.cardId, action.color);
+        case 'draw':
+            return applyMove(state, 'playerDrawCards', bot.id);
+        case 'skipPlayDrawn':
+            return applyMove(state, 'skipPlayDrawnCard', bot.id);
+        case 'chooseColor':
+            return applyMove(state, 'chooseColor', bot.id, action.color);
+        case 'chooseSwapTarget':
+            return applyMove(state, 'chooseSwapTarget', bot.id, action.targetId);
+        case 'respondToChallenge':
+            return applyMove(state, 'respondToChallenge', bot.id, action.challenge);
+        default:
+            return { success: false, state, error: 'Unknown bot action' };
+    }
+}
+
+/**
+ * Give each bot a chance to catch a player who didn't call UNO
+ * Timers are tied to the catch window itself, so rebroadcasts while the
+ * same window is open don't give the bots another roll.
+ * @param {object} lobby - Lobby object
+ */
+function scheduleBotCatches(lobby) {
+    const state = lobby.gameState;
+    const window = state ? state.unoCallWindow : null;
+    const pending = botCatchTimers.get(lobby.roomCode);
+
+    if (pending && pending.window === window) return;
+
+    if (pending) {
+        pending.timers.forEach(clearTimeout);
+        botCatchTimers.delete(lobby.roomCode);
+    }
+
+    if (!window || !hasConnectedHumans(lobby)) return;
+
+    const timers = [];
+    for (const bot of state.players) {
+        if (!bot.isBot || bot.eliminated || bot.id === window.playerId) continue;
+
+        const delay = getCatchDelay(bot);
+        if (delay === null) continue;
+        if (window.expiresAt !== null && Date.now() + delay >= window.expiresAt) continue;
+
+        timers.push(setTimeout(() => {
+            if (lobby.gameState !== state || state.unoCallWindow !== window) return;
+
+            const result = applyMove(state, 'catchUno', bot.id, window.playerId);
+            if (!result.success) return;
+
+            broadcastGameState(lobby.roomCode);
+            emitAction(lobby.roomCode, state.lastAction);
+        }, delay));
+    }
+
+    botCatchTimers.set(lobby.roomCode, { window, timers });
+}
+
+/**
+ * Close a room's timed UNO catch window when it runs out
+ * Clients are told straight away rather than on the next catch attempt.
+ * @param {object} lobby - Lobby object
+ */
+function scheduleUnoWindowTimer(lobby) {
+    clearTimeout(unoWindowTimers.get(lobby.roomCode));
+    unoWindowTimers.delete(lobby.roomCode);
+
+    const state = lobby.gameState;
+    if (!state || !state.unoCallWindow || state.unoCallWindow.expiresAt === null) return;
+
+    const timer = setTimeout(() => {
+        unoWindowTimers.delete(lobby.roomCode);
+
+        if (lobby.gameState !== state) return;
+
+        if (applyMove(state, 'expireUnoCallWindow')) {
+            broadcastGameState(lobby.roomCode);
+        }
+    }, Math.max(0, state.unoCallWindow.expiresAt - Date.now()));
+
+    unoWindowTimers.set(lobby.roomCode, timer);
+}
+
+/**
+ * Arm the turn timer for a room's current turn
+ * When it fires the server acts for the current player and tells the room.
+ * @param {object} lobby - Lobby object
+ */
+function scheduleTurnTimer(lobby) {
+    clearTimeout(turnTimers.get(lobby.roomCode));
+    turnTimers.delete(lobby.roomCode);
+
+    const state = lobby.gameState;
+    if (!state || !state.turnDeadline) return;
+
+    const timer = setTimeout(() => {
+        turnTimers.delete(lobby.roomCode);
+
+        // The game may have ended or moved on since the timer was armed
+        if (lobby.gameState !== state) return;
+
+        const result = applyMove(state, 'handleTurnTimeout');
+        if (!result.success) return;
+
+        broadcastGameState(lobby.roomCode);
+        emitAction(lobby.roomCode, state.lastAction);
+    }, Math.max(0, state.turnDeadline - Date.now()));
+
+    turnTimers.set(lobby.roomCode, timer);
+}
+
+/**
+ * Build the lobby view sent to clients
+ * @param {object} lobby - Lobby object
+ * @returns {object} Lobby data safe for clients
+ */
+function getLobbyView(lobby) {
+    return {
+        roomCode: lobby.roomCode,
+        hostId: lobby.hostId,
+        players: lobby.players.map(p => ({
+            id: p.id,
+            name: p.name,
+            connected: p.connected,
+            team: p.team,
+            isBot: p.isBot || false,
+            difficulty: p.difficulty || null,
+            muted: lobbyManager.isMuted(lobby, p.name),
+            isHost: p.id === lobby.hostId
+        })),
+        spectators: lobby.spectators.map(s => ({
+            id: s.id,
+            name: s.name,
+            muted: lobbyManager.isMuted(lobby, s.name)
+        })),
+        settings: lobby.settings,
+        status: lobby.status
+    };
+}
+
+/**
+ * Broadcast lobby state to all players in a room
+ * @param {object} lobby - Lobby object
+ */
+function broadcastLobbyState(lobby) {
+    io.to(lobby.roomCode).emit('lobbyUpdate', getLobbyView(lobby));
+}
+
+// Socket.IO connection handler
+io.on('connection', (socket) => {
+    console.log(`Player connected: ${socket.id}`);
+
+    // Browser session the client keeps across reconnects, used for bans
+    const { sessionId } = socket.handshake.auth || {};
+    const session = typeof sessionId === 'string' ? sessionId.substring(0, 64) : null;
+
+    /**
+     * Create a new lobby
+     * @param {string} playerName - Name of the host player
+     */
+    socket.on('createLobby', (playerName, callback) => {
+        if (!playerName || typeof playerName !== 'string' || playerName.trim().length === 0) {
+            callback({ success: false, error: 'Invalid player name' });
+            return;
+        }
+
+        const name = playerName.trim().substring(0, 20); // Limit name length
+        const lobby = lobbyManager.createLobby(socket.id, name, session);
+
+        socket.join(lobby.roomCode);
+        chatManager.clearRoom(lobby.roomCode);
+
+        callback({
+            success: true,
+            roomCode: lobby.roomCode,
+            playerId: socket.id
+        });
+
+        broadcastLobbyState(lobby);
+        console.log(`Lobby created: ${lobby.roomCode} by ${name}`);
+    });
+
+    /**
+     * Join an existing lobby
+     * @param {string} roomCode - Room code to join
+     * @param {string} playerName - Name of the joining player
+     */
+    socket.on('joinLobby', (roomCode, playerName, callback) => {
+        if (!roomCode || typeof roomCode !== 'string') {
+            callback({ success: false, error: 'Invalid room code' });
+            return;
+        }
+
+        if (!playerName || typeof playerName !== 'string' || playerName.trim().length === 0) {
+            callback({ success: false, error: 'Invalid player name' });
+            return;
+        }
+
+        const name = playerName.trim().substring(0, 20);
+        const result = lobbyManager.joinLobby(roomCode, socket.id, name, session);
+
+        if (!result.success) {
+            callback({ success: false, error: result.error });
+            return;
+        }
+
+        socket.join(result.lobby.roomCode);
+
+        callback({
+            success: true,
+            roomCode: result.lobby.roomCode,
+            playerId: socket.id,
+            reconnected: result.reconnected || false
+        });
+
+        // Catch up on the conversation
+        socket.emit('chatHistory', chatManager.getHistory(result.lobby.roomCode));
+
+        // A host who never came back (e.g. after a restart) hands over once someone is here
+        const host = result.lobby.players.find(p => p.id === result.lobby.hostId);
+        if (host && !host.connected && !hostTimers.has(result.lobby.roomCode)) {
+            scheduleHostMigration(result.lobby);
+        }
+
+        // If reconnected to an active game, send game state
+        // Everyone gets it so the seat stops showing as auto-playing
+        if (result.reconnected && result.lobby.gameState) {
+            broadcastGameState(result.lobby.roomCode);
+            socket.emit('message', { type: 'info', text: 'Reconnected to game!' });
+        }
+
+        broadcastLobbyState(result.lobby);
+        postSystemMessage(result.lobby.roomCode, result.reconnected ? `${name} reconnected` : `${name} joined`);
+        console.log(`Player ${name} joined lobby ${result.lobby.roomCode}`);
+    });
+
+    /**
+     * Watch a lobby or a game in progress without taking a seat
+     * @param {string} roomCode - Room code to watch
+     * @param {string} playerName - Name of the spectator
+     */
+    socket.on('spectateLobby', (roomCode, playerName, callback) => {
+        if (!roomCode || typeof roomCode !== 'string') {
+            callback({ success: false, error: 'Invalid room code' });
+            return;
+        }
+
+        if (!playerName || typeof playerName !== 'string' || playerName.trim().length === 0) {
+            callback({ success: false, error: 'Invalid player name' });
+            return;
+        }
+
+        const name = playerName.trim().substring(0, 20);
+        const result = lobbyManager.joinAsSpectator(roomCode, socket.id, name, session);
+
+        if (!result.success) {
+            callback({ success: false, error: result.error });
+            return;
+        }
+
+        socket.join(result.lobby.roomCode);
+
+        callback({
+            success: true,
+            roomCode: result.lobby.roomCode,
+            playerId: socket.id
+        });
+
+        socket.emit('chatHistory', chatManager.getHistory(result.lobby.roomCode));
+
+        if (result.lobby.gameState) {
+            socket.emit('gameState', getStateForSpectator(result.lobby.gameState));
+        }
+
+        broadcastLobbyState(result.lobby);
+        postSystemMessage(result.lobby.roomCode, `${name} is watching`);
+        console.log(`${name} is spectating lobby ${result.lobby.roomCode}`);
+    });
+
+    /**
+     * Move from spectating into an open seat for the next game
+     */
+    socket.on('takeSeat', (callback) => {
+        const lobby = lobbyManager.getLobbyByPlayer(socket.id);
+
+        if (!lobby) {
+            callback({ success: false, error: 'Not in a lobby' });
+            return;
+        }
+
+        const result = lobbyManager.takeSeat(lobby.roomCode, socket.id);
+
+        if (!result.success) {
+            callback({ success: false, error: result.error });
+            return;
+        }
+
+        callback({ success: true });
+        broadcastLobbyState(lobby);
+    });
+
+    /**
+     * Update house rules (host only)
+     * @param {object} changes - Settings to change
+     */
+    socket.on('updateSettings', (changes, callback) => {
+        const lobby = lobbyManager.getLobbyByPlayer(socket.id);
+
+        if (!lobby) {
+            callback({ success: false, error: 'Not in a lobby' });
+            return;
+        }
+
+        const result = lobbyManager.updateSettings(lobby.roomCode, socket.id, changes);
+
+        if (!result.success) {
+            callback({ success: false, error: result.error });
+            return;
+        }
+
+        callback({ success: true });
+        broadcastLobbyState(lobby);
+    });
+
+    /**
+     * Put a player on a team (team mode)
+     * @param {string} playerId - Player to move (yourself, or anyone if host)
+     * @param {number|null} team - Team number, or null to unassign
+     */
+    socket.on('setTeam', (playerId, team, callback) => {
+        const lobby = lobbyManager.getLobbyByPlayer(socket.id);
+
+        if (!lobby) {
+            callback({ success: false, error: 'Not in a lobby' });
+            return;
+        }
+
+        const result = lobbyManager.setTeam(lobby.roomCode, socket.id, playerId, team);
+
+        if (!result.success) {
+            callback({ success: false, error: result.error });
+            return;
+        }
+
+        callback({ success: true });
+        broadcastLobbyState(lobby);
+    });
+
+    /**
+     * Split the lobby into even teams (host only)
+     */
+    socket.on('autoBalanceTeams', (callback) => {
+        const lobby = lobbyManager.getLobbyByPlayer(socket.id);
+
+        if (!lobby) {
+            callback({ success: false, error: 'Not in a lobby' });
+            return;
+        }
+
+        const result = lobbyManager.autoBalanceTeams(lobby.roomCode, socket.id);
+
+        if (!result.success) {
+            callback({ success: false, error: result.error });
+            return;
+        }
+
+        callback({ success: true });
+        broadcastLobbyState(lobby);
+    });
+
+    /**
+     * Send a chat message to the room
+     * @param {string} text - Message text
+     */
+    socket.on('chatMessage', (text, callback) => {
+        const lobby = lobbyManager.getLobbyByPlayer(socket.id);
+
+        if (!lobby) {
+            callback({ success: false, error: 'Not in a lobby' });
+            return;
+        }
+
+        const sender = lobbyManager.getMember(lobby, socket.id);
+        if (!sender) {
+            callback({ success: false, error: 'Not in a lobby' });
+            return;
+        }
+
+        if (lobbyManager.isMuted(lobby, sender.name)) {
+            callback({ success: false, error: 'The host has muted you' });
+            return;
+        }
+
+        const result = chatManager.addMessage(lobby.roomCode, sender, text);
+
+        if (!result.success) {
+            callback({ success: false, error: result.error });
+            return;
+        }
+
+        callback({ success: true });
+        io.to(lobby.roomCode).emit('chatMessage', result.message);
+    });
+
+    /**
+     * Send a quick reaction to the table (seated players only)
+     * @param {string} reaction - Reaction ID
+     */
+    socket.on('reaction', (reaction, callback) => {
+        const lobby = lobbyManager.getLobbyByPlayer(socket.id);
 
-// Cleanup old lobbies every 30 minutes
-setInterval(() => {
-    lobbyManager.cleanup();
-}, 1800000);
+        if (!lobby) {
+            callback({ success: false, error: 'Not in a lobby' });
+            return;
+        }
 
-/**
- * Broadcast game state to all players in a room
- * Each player receives their own view with hidden opponent hands
- * @param {string} roomCode - Room code
- */
-function broadcastGameState(roomCode) {
-    const lobby = lobbyManager.getLobby(roomCode);
-    if (!lobby || !lobby.gameState) return;
+        const player = lobby.players.find(p => p.id === socket.id);
+        if (!player) {
+            callback({ success: false, error: 'Only players can react' });
+            return;
+        }
 
-    const state = lobby.gameState;
+        if (lobbyManager.isMuted(lobby, player.name)) {
+            callback({ success: false, error: 'The host has muted you' });
+            return;
+        }
 
-    for (const player of lobby.players) {
-        const playerState = getStateForPlayer(state, player.id);
-        io.to(player.id).emit('gameState', playerState);
-    }
-}
+        const result = chatManager.addReaction(socket.id, reaction);
 
-/**
- * Broadcast lobby state to all players in a room
- * @param {object} lobby - Lobby object
- */
-function broadcastLobbyState(lobby) {
-    io.to(lobby.roomCode).emit('lobbyUpdate', {
-        roomCode: lobby.roomCode,
-        hostId: lobby.hostId,
-        players: lobby.players.map(p => ({
-            id: p.id,
-            name: p.name,
-            connected: p.connected,
-            isHost: p.id === lobby.hostId
-        })),
-        status: lobby.status
-    });
-}
+        if (!result.success) {
+            callback({ success: false, error: result.error });
+            return;
+        }
 
-// Socket.IO connection handler
-io.on('connection', (socket) => {
-    console.log(`Player connected: ${socket.id}`);
+        callback({ success: true });
+        io.to(lobby.roomCode).emit('reaction', { playerId: socket.id, reaction });
+    });
 
     /**
-     * Create a new lobby
-     * @param {string} playerName - Name of the host player
+     * Mute or unmute someone in chat (host only)
+     * @param {string} playerId - Player or spectator to mute
+     * @param {boolean} muted - True to mute, false to unmute
      */
-    socket.on('createLobby', (playerName, callback) => {
-        if (!playerName || typeof playerName !== 'string' || playerName.trim().length === 0) {
-            callback({ success: false, error: 'Invalid player name' });
+    socket.on('mutePlayer', (playerId, muted, callback) => {
+        const lobby = lobbyManager.getLobbyByPlayer(socket.id);
+
+        if (!lobby) {
+            callback({ success: false, error: 'Not in a lobby' });
             return;
         }
 
-        const name = playerName.trim().substring(0, 20); // Limit name length
-        const lobby = lobbyManager.createLobby(socket.id, name);
+        const result = lobbyManager.setMuted(lobby.roomCode, socket.id, playerId, muted === true);
 
-        socket.join(lobby.roomCode);
+        if (!result.success) {
+            callback({ success: false, error: result.error });
+            return;
+        }
 
-        callback({
-            success: true,
-            roomCode: lobby.roomCode,
-            playerId: socket.id
+        callback({ success: true });
+        broadcastLobbyState(lobby);
+
+        io.to(playerId).emit('message', {
+            type: muted === true ? 'warning' : 'info',
+            text: muted === true ? 'The host has muted you in chat' : 'The host has unmuted you in chat'
         });
+    });
 
-        broadcastLobbyState(lobby);
-        console.log(`Lobby created: ${lobby.roomCode} by ${name}`);
+    /**
+     * Kick a player from the lobby (host only)
+     * @param {string} playerId - Player to kick
+     */
+    socket.on('kickPlayer', (playerId, callback) => {
+        removePlayer(socket, playerId, false, callback);
     });
 
     /**
-     * Join an existing lobby
-     * @param {string} roomCode - Room code to join
-     * @param {string} playerName - Name of the joining player
+     * Kick a player and ban them from rejoining (host only)
+     * @param {string} playerId - Player to ban
      */
-    socket.on('joinLobby', (roomCode, playerName, callback) => {
-        if (!roomCode || typeof roomCode !== 'string') {
-            callback({ success: false, error: 'Invalid room code' });
+    socket.on('banPlayer', (playerId, callback) => {
+        removePlayer(socket, playerId, true, callback);
+    });
+
+    /**
+     * Hand the host role to another player (host only)
+     * @param {string} playerId - Player to make host
+     */
+    socket.on('transferHost', (playerId, callback) => {
+        const lobby = lobbyManager.getLobbyByPlayer(socket.id);
+
+        if (!lobby) {
+            callback({ success: false, error: 'Not in a lobby' });
             return;
         }
 
-        if (!playerName || typeof playerName !== 'string' || playerName.trim().length === 0) {
-            callback({ success: false, error: 'Invalid player name' });
+        const result = lobbyManager.transferHost(lobby.roomCode, socket.id, playerId);
+
+        if (!result.success) {
+            callback({ success: false, error: result.error });
             return;
         }
 
-        const name = playerName.trim().substring(0, 20);
-        const result = lobbyManager.joinLobby(roomCode, socket.id, name);
+        callback({ success: true });
+        announceHostChange(lobby);
+    });
+
+    /**
+     * Add a bot seat (host only)
+     * @param {string} difficulty - 'easy', 'medium' or 'hard'
+     */
+    socket.on('addBot', (difficulty, callback) => {
+        const lobby = lobbyManager.getLobbyByPlayer(socket.id);
+
+        if (!lobby) {
+            callback({ success: false, error: 'Not in a lobby' });
+            return;
+        }
+
+        const result = lobbyManager.addBot(lobby.roomCode, socket.id, difficulty);
 
         if (!result.success) {
             callback({ success: false, error: result.error });
             return;
         }
 
-        socket.join(result.lobby.roomCode);
+        callback({ success: true });
+        broadcastLobbyState(lobby);
+    });
 
-        callback({
-            success: true,
-            roomCode: result.lobby.roomCode,
-            playerId: socket.id,
-            reconnected: result.reconnected || false
-        });
+    /**
+     * Remove a bot seat (host only)
+     * @param {string} botId - ID of the bot to remove
+     */
+    socket.on('removeBot', (botId, callback) => {
+        const lobby = lobbyManager.getLobbyByPlayer(socket.id);
 
-        // If reconnected to an active game, send game state
-        if (result.reconnected && result.lobby.gameState) {
-            const playerState = getStateForPlayer(result.lobby.gameState, socket.id);
-            socket.emit('gameState', playerState);
-            socket.emit('message', { type: 'info', text: 'Reconnected to game!' });
+        if (!lobby) {
+            callback({ success: false, error: 'Not in a lobby' });
+            return;
         }
 
-        broadcastLobbyState(result.lobby);
-        console.log(`Player ${name} joined lobby ${result.lobby.roomCode}`);
+        const result = lobbyManager.removeBot(lobby.roomCode, socket.id, botId);
+
+        if (!result.success) {
+            callback({ success: false, error: result.error });
+            return;
+        }
+
+        callback({ success: true });
+        broadcastLobbyState(lobby);
     });
 
     /**
      * Start the game (host only)
+     * @param {object} options - { seed } to replay a known shuffle (debug mode only; may be left out)
      */
-    socket.on('startGame', (callback) => {
+    socket.on('startGame', (options, callback) => {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
         const lobby = lobbyManager.getLobbyByPlayer(socket.id);
 
         if (!lobby) {
@@ -175,6 +1091,18 @@ io.on('connection', (socket) => {
             return;
         }
 
+        const seed = options && options.seed != null ? options.seed : undefined;
+        if (seed !== undefined) {
+            if (!DEBUG) {
+                callback({ success: false, error: 'Seeds can only be chosen in debug mode' });
+                return;
+            }
+            if (typeof seed !== 'string' || seed.length === 0 || seed.length > MAX_SEED_LENGTH) {
+                callback({ success: false, error: `Seed must be 1-${MAX_SEED_LENGTH} characters` });
+                return;
+            }
+        }
+
         const result = lobbyManager.startGame(lobby.roomCode, socket.id);
 
         if (!result.success) {
@@ -186,9 +1114,10 @@ io.on('connection', (socket) => {
         const gameState = createGameState(
             lobby.roomCode,
             lobby.players,
-            500 // Target score
+            lobby.settings,
+            seed
         );
-        startRound(gameState);
+        applyMove(gameState, 'startRound');
         lobbyManager.setGameState(lobby.roomCode, gameState);
 
         callback({ success: true });
@@ -196,7 +1125,9 @@ io.on('connection', (socket) => {
         // Broadcast initial game state to all players
         broadcastGameState(lobby.roomCode);
 
-        console.log(`Game started in lobby ${lobby.roomCode}`);
+        console.log(DEBUG
+            ? `Game started in lobby ${lobby.roomCode} with seed ${gameState.seed}`
+            : `Game started in lobby ${lobby.roomCode}`);
     });
 
     /**
@@ -212,7 +1143,7 @@ io.on('connection', (socket) => {
             return;
         }
 
-        const result = playCard(lobby.gameState, socket.id, cardId, chosenColor);
+        const result = applyMove(lobby.gameState, 'playCard', socket.id, cardId, chosenColor);
 
         if (!result.success) {
             callback({ success: false, error: result.error });
@@ -224,7 +1155,35 @@ io.on('connection', (socket) => {
 
         // Broadcast last action
         if (result.state.lastAction) {
-            io.to(lobby.roomCode).emit('action', result.state.lastAction);
+            emitAction(lobby.roomCode, result.state.lastAction);
+        }
+    });
+
+    /**
+     * Jump in with a card identical to the top card, out of turn
+     * @param {string} cardId - ID of the card to play
+     * @param {string} topCardId - ID of the top card being jumped on
+     */
+    socket.on('jumpIn', (cardId, topCardId, callback) => {
+        const lobby = lobbyManager.getLobbyByPlayer(socket.id);
+
+        if (!lobby || !lobby.gameState) {
+            callback({ success: false, error: 'No active game' });
+            return;
+        }
+
+        const result = applyMove(lobby.gameState, 'jumpIn', socket.id, cardId, topCardId);
+
+        if (!result.success) {
+            callback({ success: false, error: result.error });
+            return;
+        }
+
+        callback({ success: true });
+        broadcastGameState(lobby.roomCode);
+
+        if (result.state.lastAction) {
+            emitAction(lobby.roomCode, result.state.lastAction);
         }
     });
 
@@ -240,7 +1199,61 @@ io.on('connection', (socket) => {
             return;
         }
 
-        const result = chooseColor(lobby.gameState, socket.id, color);
+        const result = applyMove(lobby.gameState, 'chooseColor', socket.id, color);
+
+        if (!result.success) {
+            callback({ success: false, error: result.error });
+            return;
+        }
+
+        callback({ success: true });
+        broadcastGameState(lobby.roomCode);
+
+        if (result.state.lastAction) {
+            emitAction(lobby.roomCode, result.state.lastAction);
+        }
+    });
+
+    /**
+     * Choose who to swap hands with (Seven-O)
+     * @param {string} targetId - ID of player to swap with
+     */
+    socket.on('chooseSwapTarget', (targetId, callback) => {
+        const lobby = lobbyManager.getLobbyByPlayer(socket.id);
+
+        if (!lobby || !lobby.gameState) {
+            callback({ success: false, error: 'No active game' });
+            return;
+        }
+
+        const result = applyMove(lobby.gameState, 'chooseSwapTarget', socket.id, targetId);
+
+        if (!result.success) {
+            callback({ success: false, error: result.error });
+            return;
+        }
+
+        callback({ success: true });
+        broadcastGameState(lobby.roomCode);
+
+        if (result.state.lastAction) {
+            emitAction(lobby.roomCode, result.state.lastAction);
+        }
+    });
+
+    /**
+     * Challenge or accept a Wild Draw Four
+     * @param {boolean} challenge - True to challenge, false to accept
+     */
+    socket.on('respondToChallenge', (challenge, callback) => {
+        const lobby = lobbyManager.getLobbyByPlayer(socket.id);
+
+        if (!lobby || !lobby.gameState) {
+            callback({ success: false, error: 'No active game' });
+            return;
+        }
+
+        const result = applyMove(lobby.gameState, 'respondToChallenge', socket.id, challenge === true);
 
         if (!result.success) {
             callback({ success: false, error: result.error });
@@ -251,7 +1264,7 @@ io.on('connection', (socket) => {
         broadcastGameState(lobby.roomCode);
 
         if (result.state.lastAction) {
-            io.to(lobby.roomCode).emit('action', result.state.lastAction);
+            emitAction(lobby.roomCode, result.state.lastAction);
         }
     });
 
@@ -266,7 +1279,7 @@ io.on('connection', (socket) => {
             return;
         }
 
-        const result = playerDrawCards(lobby.gameState, socket.id);
+        const result = applyMove(lobby.gameState, 'playerDrawCards', socket.id);
 
         if (!result.success) {
             callback({ success: false, error: result.error });
@@ -282,7 +1295,7 @@ io.on('connection', (socket) => {
         broadcastGameState(lobby.roomCode);
 
         if (result.state.lastAction) {
-            io.to(lobby.roomCode).emit('action', result.state.lastAction);
+            emitAction(lobby.roomCode, result.state.lastAction);
         }
     });
 
@@ -297,7 +1310,7 @@ io.on('connection', (socket) => {
             return;
         }
 
-        const result = skipPlayDrawnCard(lobby.gameState, socket.id);
+        const result = applyMove(lobby.gameState, 'skipPlayDrawnCard', socket.id);
 
         if (!result.success) {
             callback({ success: false, error: result.error });
@@ -308,7 +1321,7 @@ io.on('connection', (socket) => {
         broadcastGameState(lobby.roomCode);
 
         if (result.state.lastAction) {
-            io.to(lobby.roomCode).emit('action', result.state.lastAction);
+            emitAction(lobby.roomCode, result.state.lastAction);
         }
     });
 
@@ -323,7 +1336,7 @@ io.on('connection', (socket) => {
             return;
         }
 
-        const result = callUno(lobby.gameState, socket.id);
+        const result = applyMove(lobby.gameState, 'callUno', socket.id);
 
         if (!result.success) {
             callback({ success: false, error: result.error });
@@ -333,7 +1346,7 @@ io.on('connection', (socket) => {
         callback({ success: true });
 
         if (result.state.lastAction) {
-            io.to(lobby.roomCode).emit('action', result.state.lastAction);
+            emitAction(lobby.roomCode, result.state.lastAction);
         }
 
         broadcastGameState(lobby.roomCode);
@@ -351,7 +1364,7 @@ io.on('connection', (socket) => {
             return;
         }
 
-        const result = catchUno(lobby.gameState, socket.id, targetId);
+        const result = applyMove(lobby.gameState, 'catchUno', socket.id, targetId);
 
         if (!result.success) {
             callback({ success: false, error: result.error });
@@ -362,7 +1375,7 @@ io.on('connection', (socket) => {
         broadcastGameState(lobby.roomCode);
 
         if (result.state.lastAction) {
-            io.to(lobby.roomCode).emit('action', result.state.lastAction);
+            emitAction(lobby.roomCode, result.state.lastAction);
         }
     });
 
@@ -387,13 +1400,13 @@ io.on('connection', (socket) => {
             return;
         }
 
-        startNextRound(lobby.gameState);
+        applyMove(lobby.gameState, 'startNextRound');
 
         callback({ success: true });
         broadcastGameState(lobby.roomCode);
 
         if (lobby.gameState.lastAction) {
-            io.to(lobby.roomCode).emit('action', lobby.gameState.lastAction);
+            emitAction(lobby.roomCode, lobby.gameState.lastAction);
         }
     });
 
@@ -429,7 +1442,16 @@ io.on('connection', (socket) => {
 
         if (result.lobby) {
             socket.leave(result.lobby.roomCode);
+
+            // Leaving mid-game keeps the seat, so a bot takes it over like a disconnect
+            if (result.lobby.gameState && !result.wasSpectator) {
+                handleDisconnect(result.lobby.gameState, socket.id);
+                scheduleAutoPlay(result.lobby, socket.id);
+                broadcastGameState(result.lobby.roomCode);
+            }
+
             broadcastLobbyState(result.lobby);
+            handleHostLeft(result);
         }
 
         callback({ success: true });
@@ -441,20 +1463,26 @@ io.on('connection', (socket) => {
     socket.on('disconnect', () => {
         console.log(`Player disconnected: ${socket.id}`);
 
+        chatManager.removeSocket(socket.id);
+
         const lobby = lobbyManager.getLobbyByPlayer(socket.id);
 
         if (lobby) {
             // Mark player as disconnected
             const result = lobbyManager.leaveLobby(socket.id);
 
-            if (result.lobby && !result.roomDeleted) {
+            if (result.wasSpectator) {
+                broadcastLobbyState(result.lobby);
+            } else if (result.lobby && !result.roomDeleted) {
                 // Update game state if game is in progress
                 if (result.lobby.gameState) {
                     handleDisconnect(result.lobby.gameState, socket.id);
+                    scheduleAutoPlay(result.lobby, socket.id);
                     broadcastGameState(result.lobby.roomCode);
                 }
 
                 broadcastLobbyState(result.lobby);
+                handleHostLeft(result);
 
                 io.to(result.lobby.roomCode).emit('message', {
                     type: 'warning',
@@ -464,6 +1492,80 @@ io.on('connection', (socket) => {
         }
     });
 
+    /**
+     * Get the game's event log, with only your own secrets (e.g. cards you drew) filled in
+     * @param {number} sinceSeq - Only events after this sequence number (0 for the latest page)
+     */
+    socket.on('getHistory', (sinceSeq, callback) => {
+        const lobby = lobbyManager.getLobbyByPlayer(socket.id);
+
+        if (!lobby || !lobby.gameState) {
+            callback({ success: false, error: 'No game in progress' });
+            return;
+        }
+
+        const since = Number.isInteger(sinceSeq) && sinceSeq > 0 ? sinceSeq : 0;
+        const viewerId = lobbyManager.isSpectator(lobby, socket.id) ? null : socket.id;
+
+        callback({ success: true, events: getEventsForPlayer(lobby.gameState, viewerId, since) });
+    });
+
+    /**
+     * Get a finished game's replay: who played and how many moves it has
+     * @param {string} replayId - Replay ID
+     */
+    socket.on('getReplay', (replayId, callback) => {
+        const entry = findReplay(replayId);
+
+        if (!entry) {
+            callback({ success: false, error: 'Replay not found' });
+            return;
+        }
+
+        const replay = entry.replay;
+        callback({
+            success: true,
+            replay: {
+                id: replay.id,
+                roomCode: replay.roomCode,
+                finishedAt: replay.finishedAt,
+                seed: replay.seed,
+                players: replay.players,
+                winnerName: replay.winnerName,
+                total: replay.moves.length
+            }
+        });
+    });
+
+    /**
+     * Get one step of a replay, rebuilt by replaying the moves up to it
+     * @param {string} replayId - Replay ID
+     * @param {number} index - Number of moves applied (0 to total)
+     */
+    socket.on('getReplayFrame', (replayId, index, callback) => {
+        const entry = findReplay(replayId);
+
+        if (!entry) {
+            callback({ success: false, error: 'Replay not found' });
+            return;
+        }
+
+        if (!Number.isInteger(index) || index < 0 || index > entry.replay.moves.length) {
+            callback({ success: false, error: 'Invalid move number' });
+            return;
+        }
+
+        buildReplayFrames(entry, index, (err) => {
+            if (err) {
+                console.error(`Could not rebuild replay ${replayId}:`, err.message);
+                callback({ success: false, error: 'Replay could not be rebuilt' });
+                return;
+            }
+
+            callback({ success: true, frame: entry.cursor.frames[index] });
+        });
+    });
+
     /**
      * Get current state (for reconnection)
      */
@@ -476,28 +1578,23 @@ io.on('connection', (socket) => {
         }
 
         if (lobby.gameState) {
-            const playerState = getStateForPlayer(lobby.gameState, socket.id);
+            const playerState = lobbyManager.isSpectator(lobby, socket.id)
+                ? getStateForSpectator(lobby.gameState)
+                : getStateForPlayer(lobby.gameState, socket.id);
             callback({ success: true, gameState: playerState, inGame: true });
         } else {
             callback({
                 success: true,
-                lobby: {
-                    roomCode: lobby.roomCode,
-                    hostId: lobby.hostId,
-                    players: lobby.players.map(p => ({
-                        id: p.id,
-                        name: p.name,
-                        connected: p.connected,
-                        isHost: p.id === lobby.hostId
-                    })),
-                    status: lobby.status
-                },
+                lobby: getLobbyView(lobby),
                 inGame: false
             });
         }
     });
 });
 
+// Pick up where the last run left off
+restoreLobbies();
+
 // Start server
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
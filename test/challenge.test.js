@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Card } = require('../game/Card');
+const { playCard, respondToChallenge } = require('../game/GameState');
+const { setUpTable } = require('./helpers');
+
+/**
+ * Three players, red 5 on the pile, A to play with a Wild Draw Four
+ * @param {Card[]} extraCards - A's other cards
+ */
+function setUp(extraCards) {
+    return setUpTable({
+        a: [new Card('wildDrawFour', null, null, 'a-wd4'), ...extraCards],
+        b: [1, 2, 3].map(v => new Card('number', 'blue', v, `b-${v}`)),
+        c: [new Card('wildDrawFour', null, null, 'c-wd4'), new Card('number', 'green', 1, 'c-1'), new Card('number', 'green', 2, 'c-2')]
+    });
+}
+
+const legalHand = () => [new Card('number', 'blue', 7, 'a-7'), new Card('number', 'green', 8, 'a-8')];
+const illegalHand = () => [new Card('number', 'red', 7, 'a-7'), new Card('number', 'green', 8, 'a-8')];
+
+test('playing a Wild Draw Four waits for the next player to challenge', () => {
+    const state = setUp(legalHand());
+
+    assert.equal(playCard(state, 'a', 'a-wd4', 'green').success, true);
+    assert.equal(state.phase, 'awaitingChallenge');
+    assert.equal(state.currentPlayerIndex, 1);
+    assert.equal(state.drawFourChallenge.before.currentColor, 'red');
+});
+
+test('a successful challenge makes the offender draw 4', () => {
+    const state = setUp(illegalHand());
+    playCard(state, 'a', 'a-wd4', 'green');
+
+    assert.equal(respondToChallenge(state, 'b', true).success, true);
+    assert.equal(state.players[0].hand.length, 2 + 4);
+    assert.equal(state.players[1].hand.length, 3);
+    assert.equal(state.stackedDrawCount, 0);
+    assert.equal(state.phase, 'playing');
+    assert.equal(state.currentPlayerIndex, 1, 'the challenger keeps their turn');
+});
+
+test('a failed challenge makes the challenger draw 6 and lose their turn', () => {
+    const state = setUp(legalHand());
+    playCard(state, 'a', 'a-wd4', 'green');
+
+    assert.equal(respondToChallenge(state, 'b', true).success, true);
+    assert.equal(state.players[0].hand.length, 2);
+    assert.equal(state.players[1].hand.length, 3 + 6);
+    assert.equal(state.stackedDrawCount, 0);
+    assert.equal(state.currentPlayerIndex, 2);
+});
+
+test('accepting leaves the stack to draw', () => {
+    const state = setUp(legalHand());
+    playCard(state, 'a', 'a-wd4', 'green');
+
+    assert.equal(respondToChallenge(state, 'b', false).success, true);
+    assert.equal(state.phase, 'playing');
+    assert.equal(state.stackedDrawCount, 4);
+    assert.equal(state.currentPlayerIndex, 1);
+});
+
+test('on a stack, a successful challenge leaves the challenger owing what came before', () => {
+    const state = setUp([new Card('skip', 'red', null, 'a-skip'), new Card('number', 'green', 8, 'a-8')]);
+    // C plays a Wild Draw Four at A, who accepts and stacks one on it while holding a red Skip
+    state.currentPlayerIndex = 2;
+    playCard(state, 'c', 'c-wd4', 'red');
+    respondToChallenge(state, 'a', false);
+
+    assert.equal(playCard(state, 'a', 'a-wd4', 'green').success, true);
+    assert.equal(state.stackedDrawCount, 8);
+
+    respondToChallenge(state, 'b', true);
+    assert.equal(state.players[0].hand.length, 2 + 4, 'the offender draws only their own 4');
+    assert.equal(state.players[1].hand.length, 3);
+    assert.equal(state.stackedDrawCount, 4, 'the challenger still owes the first Wild Draw Four');
+    assert.deepEqual(state.stackCounts, { drawFour: 1 });
+    assert.equal(state.currentPlayerIndex, 1);
+});
+
+test('on a stack, a card of the color that could not go on it does not count', () => {
+    const state = setUp(illegalHand());
+    state.currentPlayerIndex = 2;
+    playCard(state, 'c', 'c-wd4', 'red');
+    respondToChallenge(state, 'a', false);
+    // A's red 7 was never playable on the stack, so their Wild Draw Four was legal
+    playCard(state, 'a', 'a-wd4', 'green');
+
+    respondToChallenge(state, 'b', true);
+    assert.equal(state.players[0].hand.length, 2);
+    assert.equal(state.players[1].hand.length, 3 + 8 + 2);
+    assert.equal(state.currentPlayerIndex, 2);
+});
+
+test('on a stack, a failed challenge adds 2 to what the challenger owes', () => {
+    const state = setUp(legalHand());
+    state.currentPlayerIndex = 2;
+    playCard(state, 'c', 'c-wd4', 'red');
+    respondToChallenge(state, 'a', false);
+    playCard(state, 'a', 'a-wd4', 'green');
+
+    respondToChallenge(state, 'b', true);
+    assert.equal(state.players[1].hand.length, 3 + 8 + 2);
+    assert.equal(state.stackedDrawCount, 0);
+    assert.equal(state.currentPlayerIndex, 2);
+});
+
+test('only the player hit can challenge, and only while the window is open', () => {
+    const state = setUp(legalHand());
+
+    assert.equal(respondToChallenge(state, 'b', true).success, false);
+    playCard(state, 'a', 'a-wd4', 'green');
+    assert.equal(respondToChallenge(state, 'c', true).success, false);
+});
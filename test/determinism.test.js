@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GameState = require('../game/GameState');
+const { createRng, nextRandom, randomFrom } = require('../game/Random');
+const { createDeck, shuffle } = require('../game/Deck');
+const LobbyManager = require('../lobby/LobbyManager');
+
+const { startRound, serializeGameState } = GameState;
+const { newBotGame, playWithBots } = require('./helpers');
+
+const VARIANTS = [
+    {},
+    { gameMode: 'flip' },
+    { specialWilds: true, customWildEffect: 'swapWithAnyPlayer', sevenO: true },
+    { drawUntilPlayable: true, mustPlayDrawn: true, crossStacking: true },
+    { teamMode: true, scoringMode: 'penalty' },
+    { elimination: true }
+];
+
+test('the generator repeats for a seed and differs between seeds', () => {
+    const a = createRng('seed');
+    const b = createRng('seed');
+    const first = Array.from({ length: 20 }, () => nextRandom(a));
+
+    assert.deepEqual(Array.from({ length: 20 }, () => nextRandom(b)), first);
+    assert.ok(first.every(n => n >= 0 && n < 1));
+    assert.notDeepEqual(Array.from({ length: 20 }, () => nextRandom(createRng('other'))), first);
+    assert.deepEqual(a, { seed: 'seed', counter: 20 });
+});
+
+test('the same seed builds and shuffles the same deck', () => {
+    for (const gameMode of ['classic', 'flip']) {
+        const deal = seed => {
+            const random = randomFrom(createRng(seed));
+            return shuffle(createDeck(gameMode, true, random), random).map(card => card.toJSON());
+        };
+
+        assert.deepEqual(deal('x'), deal('x'));
+        assert.notDeepEqual(deal('x'), deal('y'));
+    }
+});
+
+test('the same seed pairs the same faces in a flip deck', () => {
+    const pairs = seed => createDeck('flip', false, randomFrom(createRng(seed)))
+        .map(card => [card.type, card.color, card.value, card.back]);
+
+    assert.deepEqual(pairs('x'), pairs('x'));
+    assert.notDeepEqual(pairs('x'), pairs('y'));
+});
+
+test('the same seed deals the same first round', () => {
+    const a = newBotGame({}, 'deal');
+    const b = newBotGame({}, 'deal');
+    a.clock = b.clock = 1700000000000;
+    startRound(a);
+    startRound(b);
+
+    assert.deepEqual(serializeGameState(a), serializeGameState(b));
+});
+
+test('the same seed and the same moves always give the same game', () => {
+    for (const changes of VARIANTS) {
+        const live = newBotGame(changes, `game-${JSON.stringify(changes)}`);
+        live.clock = 1700000000000;
+        const calls = [];
+        playWithBots(live, (name, ...args) => {
+            calls.push([name, ...args]);
+            return GameState[name](live, ...args);
+        });
+        assert.equal(live.phase, 'gameOver', `${JSON.stringify(changes)} finishes`);
+
+        const again = newBotGame(changes, live.seed);
+        again.clock = live.clock;
+        for (const [name, ...args] of calls) {
+            GameState[name](again, ...args);
+        }
+
+        assert.deepEqual(serializeGameState(again), serializeGameState(live), JSON.stringify(changes));
+    }
+});
+
+test('a seeded lobby manager repeats its room codes', () => {
+    const codes = () => {
+        const manager = new LobbyManager(randomFrom(createRng('rooms')));
+        return Array.from({ length: 5 }, () => manager.generateRoomCode());
+    };
+
+    assert.deepEqual(codes(), codes());
+});
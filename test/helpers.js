@@ -0,0 +1,114 @@
+/**
+ * helpers.js - Shared setup for the tests
+ *
+ * Tables set up mid-round let tests play a rule out card by card. Bots play
+ * whole games here the way the server drives them, so tests can check
+ * properties of complete games.
+ */
+
+const GameState = require('../game/GameState');
+const { Card } = require('../game/Card');
+const { decideBotAction } = require('../game/Bot');
+const { clearStack } = require('../game/GameRules');
+const { now } = require('../game/Clock');
+const { getDefaultSettings, validateSettings } = require('../game/Settings');
+
+/**
+ * Players seated mid-round with set hands, a red 5 on the pile and the first player to play
+ * Players are named after their IDs in capitals; the first card dealt is replaced.
+ * @param {object} hands - Cards per player ID, in the order the lobby lists them
+ * @param {object} changes - Settings to change from the defaults
+ * @param {object} teams - Team per player ID (optional)
+ * @returns {object} Game state
+ */
+function setUpTable(hands, changes = {}, teams = {}) {
+    const ids = Object.keys(hands);
+    const players = ids.map(id => ({ id, name: id.toUpperCase(), team: teams[id] }));
+    const settings = validateSettings(changes, getDefaultSettings()).settings;
+    const state = GameState.createGameState('TEST', players, settings, 'table');
+    GameState.startRound(state);
+
+    state.players.forEach(player => {
+        player.hand = hands[player.id];
+    });
+    state.discardPile = [new Card('number', 'red', 5, 'top')];
+    clearStack(state);
+    state.currentColor = 'red';
+    state.awaitingColorChoice = false;
+    state.currentPlayerIndex = state.players.findIndex(p => p.id === ids[0]);
+    state.direction = 1;
+    return state;
+}
+
+/**
+ * Four bots seated for a game, with IDs 'seat-0' to 'seat-3' (as in a replay)
+ * @param {object} changes - Settings to change from the defaults
+ * @param {string} seed - Game seed
+ * @returns {object} Game state before the first round
+ */
+function newBotGame(changes, seed) {
+    const players = ['easy', 'medium', 'hard', 'hard']
+        .map((difficulty, i) => ({ id: `seat-${i}`, name: `Bot ${i}`, isBot: true, difficulty, team: (i % 2) + 1 }));
+    const settings = validateSettings(changes, getDefaultSettings()).settings;
+    return GameState.createGameState('TEST', players, settings, seed);
+}
+
+/**
+ * The GameState calls a bot makes next
+ * @param {object} state - Game state
+ * @returns {Array[]} Calls, as [function name, ...args after state]
+ */
+function nextBotMoves(state) {
+    if (state.phase === 'roundEnd') {
+        return [['startNextRound']];
+    }
+
+    const bot = state.players[state.currentPlayerIndex];
+    const action = decideBotAction(state, bot.id);
+
+    switch (action.type) {
+        case 'playCard':
+            return [
+                ...(action.callUno ? [['callUno', bot.id]] : []),
+                ['playCard', bot.id, action.cardId, action.color]
+            ];
+        case 'draw': return [['playerDrawCards', bot.id]];
+        case 'skipPlayDrawn': return [['skipPlayDrawnCard', bot.id]];
+        case 'chooseColor': return [['chooseColor', bot.id, action.color]];
+        case 'chooseSwapTarget': return [['chooseSwapTarget', bot.id, action.targetId]];
+        case 'respondToChallenge': return [['respondToChallenge', bot.id, action.challenge]];
+    }
+    throw new Error(`Unexpected bot action ${action.type}`);
+}
+
+/**
+ * Play a game to the end with bots
+ * A bot that can't make its move is timed out at once, as the server does.
+ * @param {object} state - Game state before the first round (will be mutated)
+ * @param {function(string, ...*): *} apply - Makes a call, e.g. (name, ...args) => GameState[name](state, ...args)
+ * @param {function(): void} afterMove - Called after each call (optional)
+ */
+function playWithBots(state, apply, afterMove = () => {}) {
+    apply('startRound');
+
+    for (let step = 0; state.phase !== 'gameOver' && step < 5000; step++) {
+        for (const [name, ...args] of nextBotMoves(state)) {
+            const result = apply(name, ...args);
+            afterMove();
+
+            if (result === false || result.success === false) {
+                state.turnDeadline = now(state);
+                apply('handleTurnTimeout');
+                afterMove();
+                break;
+            }
+        }
+    }
+}
+
+module.exports = {
+    setUpTable,
+    newBotGame,
+    nextBotMoves,
+    playWithBots
+};
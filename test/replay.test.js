@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { serializeGameState } = require('../game/GameState');
+const { applyMove, createReplay, replayGame, createReplayCursor, advanceReplayCursor } = require('../game/Replay');
+const { newBotGame, playWithBots } = require('./helpers');
+
+const VARIANTS = [
+    {},
+    { gameMode: 'flip', turnTimerSeconds: 10 },
+    { specialWilds: true, customWildEffect: 'discardColor', jumpIn: true },
+    { unoCatchMode: 'nextTurn', unoCallAfterPlay: true, falseCatchPenalty: true },
+    { teamMode: true, elimination: true, unoPenaltyCards: 2 }
+];
+
+/**
+ * Play a recorded game with bots on a game clock that moves 700ms per move
+ * Someone tries to catch every uncalled UNO, and some are too late.
+ * @param {object} changes - Settings to change from the defaults
+ * @returns {object} Finished game state, back on the real clock
+ */
+function playRecordedGame(changes) {
+    const state = newBotGame(changes, `replay-${JSON.stringify(changes)}`);
+    state.clock = 1700000000000;
+
+    playWithBots(state, (name, ...args) => applyMove(state, name, ...args), () => {
+        state.clock += 700;
+
+        const window = state.unoCallWindow;
+        if (window && state.clock % 3 === 0) {
+            const catcher = state.players.find(p => p.id !== window.playerId && !p.eliminated);
+            applyMove(state, 'catchUno', catcher.id, window.playerId);
+        }
+    });
+
+    state.clock = null;
+    return state;
+}
+
+test('a replay rebuilds the finished game exactly', () => {
+    for (const changes of VARIANTS) {
+        const live = playRecordedGame(changes);
+        assert.equal(live.phase, 'gameOver');
+
+        // Replayed on the real clock: every time in the game must come from the record
+        const replay = JSON.parse(JSON.stringify(createReplay(live, 'id')));
+        const replayed = replayGame(replay);
+
+        assert.deepEqual(
+            serializeGameState(replayed),
+            { ...serializeGameState(live), moves: [] },
+            JSON.stringify(changes)
+        );
+    }
+});
+
+test('replaying part of a game stops after that many moves', () => {
+    const live = newBotGame({}, 'partial');
+    playWithBots(live, (name, ...args) => applyMove(live, name, ...args));
+    const replay = createReplay(live, 'id');
+
+    const seen = [];
+    const state = replayGame(replay, 10, (step, index) => seen.push(index));
+
+    assert.deepEqual(seen, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.equal(state.phase, 'playing');
+});
+
+test('replaying leaves the real clock alone', (t) => {
+    const realNow = Date.now;
+    const live = newBotGame({ turnTimerSeconds: 5 }, 'clock');
+    playWithBots(live, (name, ...args) => applyMove(live, name, ...args));
+    const replay = createReplay(live, 'id');
+
+    replayGame(replay, replay.moves.length, () => {
+        assert.equal(Date.now, realNow);
+        assert.ok(Math.abs(Date.now() - realNow.call(Date)) < 1000);
+    });
+    assert.equal(replayGame(replay).clock, null);
+});
+
+test('frames cover every step, ending on the final state', () => {
+    const live = newBotGame({ gameMode: 'flip' }, 'frames');
+    playWithBots(live, (name, ...args) => applyMove(live, name, ...args));
+    const replay = createReplay(live, 'id');
+    const cursor = createReplayCursor(replay);
+    assert.equal(advanceReplayCursor(cursor, replay.moves.length), true);
+    const { frames } = cursor;
+
+    assert.equal(frames.length, replay.moves.length + 1);
+    assert.equal(frames[0].topCard, null);
+    assert.equal(frames[0].lastAction, null);
+
+    const last = frames[frames.length - 1];
+    assert.equal(last.phase, 'gameOver');
+    assert.equal(last.index, replay.moves.length);
+    assert.deepEqual(last.players.map(p => p.score), live.players.map(p => p.score));
+    assert.deepEqual(last.players.map(p => p.hand.map(c => c.id)), live.players.map(p => p.hand.map(c => c.id)));
+});
+
+test('failed moves are not recorded', () => {
+    const live = newBotGame({}, 'failed');
+    applyMove(live, 'startRound');
+    const recorded = live.moves.length;
+
+    const result = applyMove(live, 'playCard', 'seat-1', 'no-such-card');
+    assert.equal(result.success, false);
+    assert.equal(live.moves.length, recorded);
+});
+
+test('frames come out the same however many moves are rebuilt at a time', () => {
+    const live = newBotGame({}, 'batches');
+    playWithBots(live, (name, ...args) => applyMove(live, name, ...args));
+    const replay = createReplay(live, 'id');
+
+    const whole = createReplayCursor(replay);
+    advanceReplayCursor(whole, replay.moves.length);
+
+    const batched = createReplayCursor(replay);
+    let batches = 0;
+    while (!advanceReplayCursor(batched, 7)) {
+        batches++;
+        assert.equal(batched.frames.length, 1 + 7 * batches);
+    }
+    assert.deepEqual(batched.frames, whole.frames);
+});
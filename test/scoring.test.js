@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Card } = require('../game/Card');
+const { calculateHandValue, calculateRoundScores, checkGameOver, getFinalRankings } = require('../game/Scoring');
+
+/**
+ * Player holding cards of the given point values (number cards, 20s as skips)
+ * @param {number[]} values - Points per card
+ * @param {object} fields - Extra player fields (score, team)
+ */
+function player(values, fields = {}) {
+    const hand = values.map((v, i) => (v === 20
+        ? new Card('skip', 'red', null, `skip-${i}`)
+        : new Card('number', 'red', v, `n-${i}`)));
+    return { hand, score: 0, team: null, ...fields };
+}
+
+test('hand values use card points', () => {
+    assert.equal(calculateHandValue(player([3, 20, 9]).hand), 32);
+    assert.equal(calculateHandValue([new Card('wildDrawFour', null, null, 'w')]), 50);
+});
+
+test('standard scoring gives the winner every opponent hand', () => {
+    const players = [player([]), player([5, 4]), player([20])];
+    const { roundScores, newTotalScores } = calculateRoundScores(players, 0);
+
+    assert.deepEqual(roundScores, [29, 0, 0]);
+    assert.deepEqual(newTotalScores, [29, 0, 0]);
+});
+
+test('standard team scoring does not count partners', () => {
+    const players = [
+        player([], { team: 1 }),
+        player([5], { team: 2 }),
+        player([20], { team: 1 }),
+        player([7], { team: 2 })
+    ];
+    const { roundScores } = calculateRoundScores(players, 0);
+
+    assert.deepEqual(roundScores, [12, 0, 0, 0]);
+});
+
+test('penalty scoring charges each loser their own hand', () => {
+    const players = [player([5], { score: 10 }), player([]), player([20, 1])];
+    const { roundScores, newTotalScores } = calculateRoundScores(players, 1, 'penalty');
+
+    assert.deepEqual(roundScores, [5, 0, 21]);
+    assert.deepEqual(newTotalScores, [15, 0, 21]);
+});
+
+test('penalty team scoring does not charge the winning partner', () => {
+    const players = [
+        player([], { team: 1 }),
+        player([5], { team: 2 }),
+        player([20], { team: 1 }),
+        player([7], { team: 2 })
+    ];
+    const { roundScores } = calculateRoundScores(players, 0, 'penalty');
+
+    assert.deepEqual(roundScores, [0, 5, 0, 7]);
+});
+
+test('standard game ends when someone reaches the target, highest wins', () => {
+    assert.equal(checkGameOver([player([], { score: 499 }), player([], { score: 10 })], 500).gameOver, false);
+
+    const result = checkGameOver([player([], { score: 120 }), player([], { score: 510 })], 500);
+    assert.deepEqual(result, { gameOver: true, winnerIndex: 1, winningTeam: null });
+});
+
+test('penalty game ends when someone reaches the limit, lowest wins', () => {
+    const result = checkGameOver([player([], { score: 520 }), player([], { score: 80 }), player([], { score: 200 })], 500, 'penalty');
+    assert.deepEqual(result, { gameOver: true, winnerIndex: 1, winningTeam: null });
+});
+
+test('teams are judged on combined scores', () => {
+    const players = [
+        player([], { team: 1, score: 300 }),
+        player([], { team: 2, score: 150 }),
+        player([], { team: 1, score: 250 }),
+        player([], { team: 2, score: 100 })
+    ];
+
+    assert.deepEqual(checkGameOver(players, 500), { gameOver: true, winnerIndex: 0, winningTeam: 1 });
+    assert.deepEqual(checkGameOver(players, 500, 'penalty'), { gameOver: true, winnerIndex: 3, winningTeam: 2 });
+});
+
+test('a team that wins a penalty round keeps the lower total', () => {
+    // Charging the partner's 60 would put team 1 on 460 and hand team 2 the game
+    const players = [
+        player([], { team: 1, score: 200 }),
+        player([9], { team: 2, score: 220 }),
+        player([20, 20, 20], { team: 1, score: 200 }),
+        player([9], { team: 2, score: 220 })
+    ];
+    const { newTotalScores } = calculateRoundScores(players, 0, 'penalty');
+    players.forEach((p, i) => { p.score = newTotalScores[i]; });
+
+    assert.deepEqual(newTotalScores, [200, 229, 200, 229]);
+    assert.deepEqual(checkGameOver(players, 450, 'penalty'), { gameOver: true, winnerIndex: 0, winningTeam: 1 });
+});
+
+test('final rankings put partners together in team order', () => {
+    const players = [
+        player([], { team: 1, score: 10 }),
+        player([], { team: 2, score: 300 }),
+        player([], { team: 1, score: 20 }),
+        player([], { team: 2, score: 5 })
+    ];
+    const rankings = getFinalRankings(players);
+
+    assert.deepEqual(rankings.map(p => [p.originalIndex, p.rank]), [[1, 1], [3, 1], [2, 2], [0, 2]]);
+    assert.deepEqual(getFinalRankings(players, 'penalty').map(p => p.originalIndex), [0, 2, 3, 1]);
+});
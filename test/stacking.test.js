@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Card } = require('../game/Card');
+const { playCard, respondToChallenge, playerDrawCards } = require('../game/GameState');
+const { canPlayCard } = require('../game/GameRules');
+const { setUpTable } = require('./helpers');
+
+/**
+ * Three players, red 5 on the pile, A to play
+ * Challenges are off so a Wild Draw Four stacks straight away.
+ * @param {object} changes - Settings to change from the defaults
+ */
+function setUp(changes = {}) {
+    return setUpTable({
+        a: [new Card('drawTwo', 'red', null, 'a-d2'), new Card('wildDrawFour', null, null, 'a-wd4'), new Card('number', 'red', 1, 'a-1')],
+        b: [new Card('drawTwo', 'blue', null, 'b-d2'), new Card('wildDrawFour', null, null, 'b-wd4'), new Card('number', 'red', 2, 'b-2')],
+        c: [new Card('drawTwo', 'green', null, 'c-d2'), new Card('number', 'red', 3, 'c-3'), new Card('number', 'red', 4, 'c-4')]
+    }, { wildDrawFourChallenge: false, ...changes });
+}
+
+const card = (state, id) => state.players.flatMap(p => p.hand).find(c => c.id === id);
+
+test('a Draw Two stacks on a Draw Two and the total carries on', () => {
+    const state = setUp();
+    playCard(state, 'a', 'a-d2');
+
+    assert.equal(state.stackedDrawCount, 2);
+    assert.equal(playCard(state, 'b', 'b-d2').success, true);
+    assert.equal(state.stackedDrawCount, 4);
+    assert.deepEqual(state.stackCounts, { drawTwo: 2 });
+});
+
+test('only a matching draw card, Skip or Reverse may go on a stack', () => {
+    const state = setUp();
+    playCard(state, 'a', 'a-d2');
+
+    assert.equal(canPlayCard(card(state, 'b-wd4'), state).canPlay, false);
+    assert.equal(canPlayCard(card(state, 'b-2'), state).canPlay, false);
+    assert.equal(canPlayCard(new Card('skip', 'blue', null, 's'), state).canPlay, true);
+    assert.equal(canPlayCard(new Card('reverse', 'green', null, 'r'), state).canPlay, true);
+});
+
+test('drawing takes the whole stack and ends the turn', () => {
+    const state = setUp();
+    playCard(state, 'a', 'a-d2');
+    playCard(state, 'b', 'b-d2');
+
+    assert.equal(playerDrawCards(state, 'c').success, true);
+    assert.equal(state.players[2].hand.length, 3 + 4);
+    assert.equal(state.stackedDrawCount, 0);
+    assert.equal(state.currentPlayerIndex, 0);
+});
+
+test('without stacking a pending draw must be taken', () => {
+    const state = setUp({ stacking: false });
+    playCard(state, 'a', 'a-d2');
+
+    assert.equal(canPlayCard(card(state, 'b-d2'), state).canPlay, false);
+});
+
+test('cross-stacking puts a Wild Draw Four on a Draw Two', () => {
+    const state = setUp({ crossStacking: true });
+    playCard(state, 'a', 'a-d2');
+
+    assert.equal(playCard(state, 'b', 'b-wd4', 'green').success, true);
+    assert.equal(state.stackedDrawCount, 6);
+    assert.deepEqual(state.stackCounts, { drawTwo: 1, drawFour: 1 });
+});
+
+test('cross-stacking puts a Draw Two on a Wild Draw Four only in the chosen color', () => {
+    const state = setUp({ crossStacking: true });
+    state.currentPlayerIndex = 1;
+    playCard(state, 'b', 'b-wd4', 'green');
+
+    assert.equal(canPlayCard(card(state, 'c-d2'), state).canPlay, true);
+    state.currentColor = 'blue';
+    assert.equal(canPlayCard(card(state, 'c-d2'), state).canPlay, false);
+});
+
+test('a challenge on a mixed stack only returns the Wild Draw Four', () => {
+    const state = setUp({ crossStacking: true, wildDrawFourChallenge: true });
+    // B holds a red Skip, which could have gone on the Draw Two instead
+    state.players[1].hand.push(new Card('skip', 'red', null, 'b-skip'));
+    playCard(state, 'a', 'a-d2');
+    playCard(state, 'b', 'b-wd4', 'green');
+    assert.equal(state.stackedDrawCount, 6);
+
+    respondToChallenge(state, 'c', true);
+    assert.equal(state.players[1].hand.length, 3 + 4);
+    assert.equal(state.stackedDrawCount, 2);
+    assert.deepEqual(state.stackCounts, { drawTwo: 1, drawFour: 0 });
+    assert.equal(state.currentPlayerIndex, 2);
+});
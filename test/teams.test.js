@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Card } = require('../game/Card');
+const { playCard } = require('../game/GameState');
+const { setUpTable } = require('./helpers');
+
+/**
+ * Four players on two teams, as the lobby lists them (partners side by side)
+ * A is to go out with a red 9 on a red 5.
+ * @param {object} changes - Settings to change from the defaults
+ * @param {number[]} scores - Totals before the round, in seating order
+ */
+function setUp(changes = {}, scores = [0, 0, 0, 0]) {
+    const state = setUpTable({
+        a: [new Card('number', 'red', 9, 'a-9')],
+        b: [new Card('skip', 'blue', null, 'b-skip')],
+        c: [new Card('number', 'green', 4, 'c-4')],
+        d: [new Card('number', 'blue', 6, 'd-6'), new Card('number', 'blue', 3, 'd-3')]
+    }, { teamMode: true, ...changes }, { a: 1, b: 1, c: 2, d: 2 });
+    state.players.forEach((player, i) => {
+        player.score = scores[i];
+        player.calledUno = true;
+    });
+    return state;
+}
+
+test('partners sit opposite each other', () => {
+    const state = setUp();
+
+    assert.deepEqual(state.players.map(p => p.id), ['a', 'c', 'b', 'd']);
+    assert.deepEqual(state.players.map(p => p.team), [1, 2, 1, 2]);
+});
+
+test('teams are ignored when team mode is off', () => {
+    const state = setUp({ teamMode: false });
+
+    assert.deepEqual(state.players.map(p => p.id), ['a', 'b', 'c', 'd']);
+    assert.ok(state.players.every(p => p.team === null));
+});
+
+test('a partner going out scores both opposing hands', () => {
+    const state = setUp();
+
+    assert.equal(playCard(state, 'a', 'a-9').success, true);
+    assert.equal(state.phase, 'roundEnd');
+    // C's 4 plus D's 6 and 3; B's skip stays out of it
+    assert.deepEqual(state.players.map(p => p.score), [13, 0, 0, 0]);
+});
+
+test('the first team to the target wins the game', () => {
+    const state = setUp({ targetScore: 100 }, [50, 60, 40, 30]);
+
+    playCard(state, 'a', 'a-9');
+    assert.equal(state.phase, 'gameOver');
+    assert.equal(state.lastAction.winningTeam, 1);
+});
+
+test('with penalty scoring only the opposing pair takes points', () => {
+    const state = setUp({ scoringMode: 'penalty', targetScore: 100 }, [45, 40, 40, 40]);
+
+    playCard(state, 'a', 'a-9');
+    assert.deepEqual(state.players.map(p => p.score), [45, 44, 40, 49]);
+    assert.equal(state.phase, 'roundEnd', 'no team has reached the limit');
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Card } = require('../game/Card');
+const { playCard, respondToChallenge, callUno, catchUno, playerDrawCards } = require('../game/GameState');
+const { setUpTable } = require('./helpers');
+
+/**
+ * Three players, red 5 on the pile, A to play down to one card
+ * @param {object} changes - Settings to change from the defaults
+ */
+function setUp(changes = {}) {
+    return setUpTable({
+        a: [new Card('number', 'red', 7, 'a-7'), new Card('number', 'green', 8, 'a-8')],
+        b: [1, 2, 3].map(v => new Card('number', 'red', v, `b-${v}`)),
+        c: [1, 2, 3].map(v => new Card('number', 'blue', v, `c-${v}`))
+    }, changes);
+}
+
+test('playing down to one card without calling opens a catch window', () => {
+    const state = setUp();
+    state.clock = 1000;
+
+    playCard(state, 'a', 'a-7');
+    assert.deepEqual(state.unoCallWindow, { playerId: 'a', expiresAt: 1000 + 3000 });
+});
+
+test('calling UNO first leaves nothing to catch', () => {
+    const state = setUp();
+
+    assert.equal(callUno(state, 'a').success, true);
+    playCard(state, 'a', 'a-7');
+    assert.equal(state.unoCallWindow, null);
+
+    const result = catchUno(state, 'b', 'a');
+    assert.equal(result.success, false);
+    assert.equal(state.players[0].hand.length, 1);
+});
+
+test('a catch draws the configured penalty and closes the window', () => {
+    for (const unoPenaltyCards of [2, 4]) {
+        const state = setUp({ unoPenaltyCards });
+        playCard(state, 'a', 'a-7');
+
+        assert.equal(catchUno(state, 'c', 'a').success, true);
+        assert.equal(state.players[0].hand.length, 1 + unoPenaltyCards);
+        assert.equal(state.unoCallWindow, null);
+        assert.equal(catchUno(state, 'b', 'a').success, false, 'a player is caught only once');
+    }
+});
+
+test('players cannot catch themselves', () => {
+    const state = setUp();
+    playCard(state, 'a', 'a-7');
+
+    assert.equal(catchUno(state, 'a', 'a').error, 'You cannot catch yourself');
+    assert.notEqual(state.unoCallWindow, null);
+});
+
+test('a timed window closes after its length', () => {
+    const state = setUp({ unoCatchWindowSeconds: 5 });
+    state.clock = 1000;
+    playCard(state, 'a', 'a-7');
+
+    state.clock = 1000 + 5000;
+    const result = catchUno(state, 'b', 'a');
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Catch window has expired');
+    assert.equal(state.players[0].hand.length, 1);
+});
+
+test('in official mode the window stays open until the next player acts', () => {
+    const state = setUp({ unoCatchMode: 'nextTurn' });
+    state.clock = 1000;
+    playCard(state, 'a', 'a-7');
+
+    state.clock += 60000;
+    assert.notEqual(state.unoCallWindow, null);
+
+    playerDrawCards(state, 'b');
+    assert.equal(state.unoCallWindow, null);
+    assert.equal(catchUno(state, 'c', 'a').success, false);
+});
+
+test('in official mode a challenge to a Wild Draw Four closes the window', () => {
+    const state = setUp({ unoCatchMode: 'nextTurn' });
+    state.players[0].hand = [new Card('wildDrawFour', null, null, 'a-wd4'), new Card('number', 'green', 8, 'a-8')];
+    playCard(state, 'a', 'a-wd4', 'green');
+
+    assert.notEqual(state.unoCallWindow, null);
+    respondToChallenge(state, 'b', true);
+    assert.equal(state.players[1].hand.length, 3 + 6, 'the challenge failed');
+    assert.equal(state.unoCallWindow, null);
+    assert.equal(catchUno(state, 'c', 'a').success, false);
+});
+
+test('with call-after-play, calling before anyone catches is in time', () => {
+    const state = setUp({ unoCallAfterPlay: true });
+    playCard(state, 'a', 'a-7');
+
+    assert.equal(callUno(state, 'a').success, true);
+    assert.equal(state.unoCallWindow, null);
+    assert.equal(catchUno(state, 'b', 'a').success, false);
+});
+
+test('without call-after-play, calling on one card is refused', () => {
+    const state = setUp();
+    playCard(state, 'a', 'a-7');
+
+    assert.equal(callUno(state, 'a').success, false);
+    assert.equal(catchUno(state, 'b', 'a').success, true);
+});
+
+test('a false catch costs the catcher when that rule is on', () => {
+    const off = setUp();
+    assert.equal(catchUno(off, 'b', 'c').success, false);
+    assert.equal(off.players[1].hand.length, 3);
+
+    const on = setUp({ falseCatchPenalty: true, unoPenaltyCards: 2 });
+    assert.equal(catchUno(on, 'b', 'c').success, true);
+    assert.equal(on.players[1].hand.length, 3 + 2);
+    assert.equal(on.lastAction.type, 'falseCatch');
+});
+
+test('catches are refused once the round is over', () => {
+    for (const phase of ['roundEnd', 'gameOver']) {
+        const state = setUp({ falseCatchPenalty: true });
+        playCard(state, 'a', 'a-7');
+        state.phase = phase;
+        const drawPileCount = state.drawPile.length;
+        const eventCount = state.events.length;
+
+        assert.equal(catchUno(state, 'b', 'a').success, false);
+        assert.equal(catchUno(state, 'b', 'c').success, false);
+        assert.equal(state.drawPile.length, drawPileCount);
+        assert.equal(state.events.length, eventCount);
+        assert.equal(state.players[1].hand.length, 3);
+    }
+});